@@ -0,0 +1,66 @@
+// create-admin.js
+// Create a platform admin account (role "admin": package administration, refunds).
+// Admins cannot register through /api/auth/register.
+// Usage: node create-admin.js <email> <password> [name]
+require("dotenv").config();
+const bcrypt = require("bcryptjs");
+const { MongoClient } = require("mongodb");
+
+const SALT_ROUNDS = 10;
+
+async function createAdmin() {
+  const uri = process.env.MONGO_URI;
+  const dbName = process.env.DB_NAME || "assetverse";
+  const [email, password, name = "Platform Admin"] = process.argv.slice(2);
+
+  if (!uri) {
+    console.error(" MONGO_URI not found in .env");
+    process.exit(1);
+  }
+  if (!email || !password) {
+    console.error(" Usage: node create-admin.js <email> <password> [name]");
+    process.exit(1);
+  }
+  if (password.length < 8) {
+    console.error(" Password must be at least 8 characters");
+    process.exit(1);
+  }
+
+  const client = new MongoClient(uri);
+
+  try {
+    await client.connect();
+    const db = client.db(dbName);
+    const normalizedEmail = String(email).toLowerCase().trim();
+
+    // roles are separate: an existing hr / employee account is not promoted
+    const existing = await db.collection("users").findOne({ email: normalizedEmail });
+    if (existing) {
+      console.error(` A ${existing.role} account already uses ${normalizedEmail}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const now = new Date();
+    await db.collection("users").insertOne({
+      name,
+      email: normalizedEmail,
+      password: await bcrypt.hash(password, SALT_ROUNDS),
+      dateOfBirth: null,
+      role: "admin",
+      profileImage: null,
+      emailVerified: true,
+      emailVerifiedAt: now,
+      createdAt: now,
+      updatedAt: now,
+    });
+    console.log(` Admin ${normalizedEmail} created`);
+  } catch (err) {
+    console.error(" Error creating admin:", err);
+    process.exitCode = 1;
+  } finally {
+    await client.close();
+  }
+}
+
+createAdmin();
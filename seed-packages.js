@@ -20,33 +20,43 @@ async function seedPackages() {
     const db = client.db(dbName);
     const packagesColl = db.collection("packages");
 
-    // Clear old packages (optional)
-    await packagesColl.deleteMany({});
-    console.log(" Old packages cleared");
-
     const seedData = [
       {
         name: "Basic",
         employeeLimit: 5,
         price: 5,
         features: ["Asset Tracking", "Employee Management", "Basic Support"],
+        displayOrder: 1,
       },
       {
         name: "Standard",
         employeeLimit: 10,
         price: 8,
         features: ["All Basic features", "Advanced Analytics", "Priority Support"],
+        displayOrder: 2,
       },
       {
         name: "Premium",
         employeeLimit: 20,
         price: 15,
         features: ["All Standard features", "Custom Branding", "24/7 Support"],
+        displayOrder: 3,
       },
     ];
 
-    const result = await packagesColl.insertMany(seedData);
-    console.log(` Seeded ${result.insertedCount} packages successfully`);
+    // only adds missing packages: existing ones (and admin edits made through /api/packages) are left alone,
+    // and packages customers paid for are never removed
+    const now = new Date();
+    const result = await packagesColl.bulkWrite(
+      seedData.map((pkg) => ({
+        updateOne: {
+          filter: { name: pkg.name },
+          update: { $setOnInsert: { ...pkg, active: true, createdAt: now, updatedAt: now, archivedAt: null } },
+          upsert: true,
+        },
+      }))
+    );
+    console.log(` Seeded ${result.upsertedCount} new packages (${seedData.length - result.upsertedCount} already present)`);
 
     console.log(" Packages seeding complete!");
     process.exit(0);
@@ -15,7 +15,43 @@ async function connectDB() {
     await db.collection('users').createIndex({ email: 1 }, { unique: true });
     await db.collection('assets').createIndex({ hrEmail: 1 });
     await db.collection('assets').createIndex({ companyName: 1 });
+    await db.collection('assetUnits').createIndex({ assetId: 1, status: 1 });
+    await db.collection('assetUnits').createIndex(
+      { hrEmail: 1, serialNumber: 1 },
+      { unique: true, partialFilterExpression: { serialNumber: { $type: 'string' } } }
+    );
+    await db.collection('assetUnits').createIndex(
+      { hrEmail: 1, assetTag: 1 },
+      { unique: true, partialFilterExpression: { assetTag: { $type: 'string' } } }
+    );
+    await db.collection('assetEvents').createIndex({ assetId: 1, at: 1 });
+    await db.collection('stockAlerts').createIndex({ hrEmail: 1, resolvedAt: 1, createdAt: -1 });
+    await db.collection('stockAlerts').createIndex({ assetId: 1, resolvedAt: 1 });
     await db.collection('requests').createIndex({ requesterEmail: 1 });
+    await db.collection('sessions').createIndex({ userId: 1 });
+    // expired sessions are removed by MongoDB once expiresAt has passed
+    await db.collection('sessions').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await db.collection('passwordResets').createIndex({ tokenHash: 1 }, { unique: true });
+    await db.collection('passwordResets').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await db.collection('emailVerifications').createIndex({ tokenHash: 1 }, { unique: true });
+    await db.collection('emailVerifications').createIndex({ email: 1, createdAt: -1 });
+    await db.collection('loginAttempts').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await db.collection('streamTickets').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await db.collection('auditLogs').createIndex({ hrEmail: 1, at: -1 });
+    await db.collection('notifications').createIndex({ recipientEmail: 1, readAt: 1, createdAt: -1 });
+    await db.collection('payments').createIndex({ transactionId: 1 });
+    await db.collection('payments').createIndex({ paymentIntentId: 1 });
+    await db.collection('payments').createIndex({ hrEmail: 1, paymentDate: -1 });
+    await db.collection('payments').createIndex({ 'refundRequest.status': 1, 'refundRequest.requestedAt': 1 }, { sparse: true });
+    await db.collection('payments').createIndex({ 'dispute.id': 1 }, { sparse: true });
+    await db.collection('invoices').createIndex({ paymentId: 1 }, { unique: true });
+    await db.collection('invoices').createIndex({ hrEmail: 1, sequence: -1 }, { unique: true });
+    await db.collection('companySettings').createIndex({ hrEmail: 1 }, { unique: true, sparse: true });
+    await db.collection('apiKeys').createIndex({ keyHash: 1 }, { unique: true });
+    await db.collection('apiKeys').createIndex({ userId: 1, createdAt: -1 });
+    await db.collection('webhooks').createIndex({ hrEmail: 1, active: 1, events: 1 });
+    await db.collection('webhookDeliveries').createIndex({ status: 1, nextAttemptAt: 1 });
+    await db.collection('webhookDeliveries').createIndex({ webhookId: 1, createdAt: -1 });
     // employeeAffiliations compound unique index (ignore error if already exists)
     await db.collection('employeeAffiliations').createIndex(
       { employeeEmail: 1, hrEmail: 1 },
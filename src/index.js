@@ -1,11 +1,13 @@
 require("dotenv").config();
 const express = require("express");
 const cors = require("cors");
-const { connectDB } = require("./config/db");
+const { connectDB, getDB } = require("./config/db");
+const { startWebhookDispatcher } = require("./utils/webhooks");
+const { backfillInvoices } = require("./utils/invoices");
 
 const {
   paymentsRouter,
-  stripeWebhookHandler,
+  handleStripeWebhook,
 } = require("./routes/payments.route");
 
 const app = express();
@@ -16,7 +18,7 @@ const app = express();
 app.post(
   "/api/payments/webhook",
   express.raw({ type: "application/json" }),
-  stripeWebhookHandler
+  handleStripeWebhook
 );
 
 /* -------------------------------------------------
@@ -30,10 +32,13 @@ app.use(express.urlencoded({ extended: true, limit: "15mb" }));
    CONNECT DATABASE & ROUTES
 ------------------------------------------------- */
 connectDB()
-  .then(() => {
+  .then(async () => {
     // Auth
     app.use("/api", require("./routes/auth.route"));
 
+    // Two-factor authentication
+    app.use("/api/mfa", require("./routes/mfa.route"));
+
     // Test
     app.use("/", require("./routes/test.route"));
 
@@ -58,9 +63,36 @@ connectDB()
     // Payments
     app.use("/api/payments", paymentsRouter);
 
+    // Analytics (HR dashboards)
+    app.use("/api/analytics", require("./routes/analytics.route"));
+
+    // Notifications
+    app.use("/api/notifications", require("./routes/notifications.route"));
+
+    // Real-time updates (Server-Sent Events)
+    app.use("/api/events", require("./routes/events.route"));
+
+    // Personal API keys (HR scripts)
+    app.use("/api/api-keys", require("./routes/apiKeys.route"));
+
+    // Outbound webhooks (HR integrations)
+    app.use("/api/webhooks", require("./routes/webhooks.route"));
+    startWebhookDispatcher();
+
+    // Audit log (HR)
+    app.use("/api/audit-logs", require("./routes/auditLogs.route"));
+
     // Users (profile update)
     app.use("/api", require("./routes/users.route"));
 
+    // Invoices for payments made before invoicing existed (before listening, so numbering follows payment order)
+    try {
+      const issued = await backfillInvoices(getDB());
+      if (issued) console.log(`Issued ${issued} invoices for earlier payments`);
+    } catch (err) {
+      console.error("Invoice backfill error:", err);
+    }
+
     const PORT = process.env.PORT || 3000;
     app.listen(PORT, () => {
       console.log(`AssetVerse Backend running on port ${PORT}`);
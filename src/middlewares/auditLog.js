@@ -0,0 +1,55 @@
+// src/middlewares/auditLog.js
+const { outcomeFor, writeAuditEntry } = require("../utils/audit");
+
+/**
+ * auditLog(action, { targetType, targetParam }) middleware factory
+ * - place after verifyToken (and before verifyHR so denied attempts are logged too)
+ * - writes one auditLogs entry when the response finishes, with the outcome taken from the status code;
+ *   a response that closes before finishing (stream aborted on error, client gone) is recorded as a failure
+ * - handlers can enrich the entry through res.locals.audit = { actor, companyName, hrEmail, targetId, details }
+ *   (e.g. /login, where req.user is not set)
+ */
+module.exports = function auditLog(action, { targetType = null, targetParam = null } = {}) {
+  return function (req, res, next) {
+    let recorded = false;
+    const record = () => {
+      if (recorded) return;
+      recorded = true;
+      const extra = res.locals.audit || {};
+      const user = req.user || null;
+      const actor =
+        extra.actor ||
+        (user
+          ? {
+              email: user.email,
+              role: user.role,
+              // requests made with a personal API key are attributed to the key as well
+              ...(req.apiKey ? { apiKeyId: req.apiKey.id, apiKeyName: req.apiKey.name } : {}),
+            }
+          : null);
+      const isHR = actor && actor.role === "hr";
+
+      const targetId =
+        extra.targetId || (targetParam ? req.params[targetParam] : null) || null;
+
+      writeAuditEntry({
+        action,
+        actor,
+        companyName:
+          extra.companyName || (user ? user.companyName : null) || null,
+        hrEmail: extra.hrEmail || (isHR ? actor.email : null),
+        ip: req.ip,
+        userAgent: req.headers["user-agent"] || null,
+        method: req.method,
+        path: req.originalUrl,
+        target: targetType || targetId ? { type: targetType, id: targetId } : null,
+        outcome: res.writableFinished ? outcomeFor(res.statusCode) : "failure",
+        statusCode: res.statusCode,
+        details: extra.details || null,
+      }).catch((err) => console.error("Audit log write error:", err));
+    };
+    res.on("finish", record);
+    res.on("close", record);
+    next();
+  };
+};
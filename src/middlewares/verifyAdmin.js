@@ -0,0 +1,8 @@
+// src/middlewares/verifyAdmin.js
+// Platform administrators (role 'admin', created with `node create-admin.js`). Must run after verifyToken.
+module.exports = function verifyAdmin(req, res, next) {
+  if (!req.user) return res.status(401).json({ message: "Not authenticated" });
+  if (req.user.role !== "admin")
+    return res.status(403).json({ message: "Admin role required" });
+  next();
+};
@@ -0,0 +1,8 @@
+// src/middlewares/verifyEmail.js
+// Blocks users who have not confirmed their email address yet. Must run after verifyToken.
+module.exports = function verifyEmail(req, res, next) {
+  if (!req.user) return res.status(401).json({ message: "Not authenticated" });
+  if (!req.user.emailVerified)
+    return res.status(403).json({ message: "Email verification required" });
+  next();
+};
@@ -2,5 +2,12 @@ module.exports = function verifyHR(req, res, next) {
   if (!req.user) return res.status(401).json({ message: "Not authenticated" });
   if (req.user.role !== "hr")
     return res.status(403).json({ message: "HR role required" });
+  // HR accounts own whole companies: require a confirmed email before any HR action
+  if (!req.user.emailVerified)
+    return res.status(403).json({ message: "Email verification required" });
+  if (req.user.mfaRequired && !req.user.mfaEnabled)
+    return res
+      .status(403)
+      .json({ message: "Your company requires two-factor authentication. Set it up via /api/mfa/setup" });
   next();
 };
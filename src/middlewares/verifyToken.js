@@ -2,11 +2,14 @@
 const jwt = require("jsonwebtoken");
 const { ObjectId } = require("mongodb");
 const { getDB } = require("../config/db");
+const { findActiveSession } = require("../utils/sessions");
+const { getCompanySettings } = require("../utils/companySettings");
 
 /**
  * verifyToken middleware
  * - accepts Authorization: Bearer <token>
  * - supports token payloads containing one of: id, _id, userId, sub, or email
+ * - rejects tokens without a session id (sid) or whose session has been revoked/expired
  * - looks up the user in DB (excluding password) and attaches sanitized user to req.user
  */
 module.exports = async function verifyToken(req, res, next) {
@@ -49,6 +52,12 @@ module.exports = async function verifyToken(req, res, next) {
 
     const db = getDB();
 
+    // every access token belongs to a server-side session that can be revoked
+    const session = await findActiveSession(db, decoded.sid);
+    if (!session) {
+      return res.status(401).json({ message: "Session revoked or expired" });
+    }
+
     let query;
     if (possibleId) {
       // safe ObjectId usage: only use ObjectId if it looks valid, else fall back to string match
@@ -62,10 +71,10 @@ module.exports = async function verifyToken(req, res, next) {
       query = { email: String(possibleEmail).toLowerCase() };
     }
 
-    // fetch user excluding password
+    // fetch user excluding password and 2FA secrets
     const user = await db
       .collection("users")
-      .findOne(query, { projection: { password: 0 } });
+      .findOne(query, { projection: { password: 0, "mfa.secret": 0, "mfa.pendingSecret": 0, "mfa.recoveryCodes": 0 } });
 
     if (!user) {
       return res
@@ -73,6 +82,18 @@ module.exports = async function verifyToken(req, res, next) {
         .json({ message: "User not found (invalid token)" });
     }
 
+    if (String(session.userId) !== String(user._id)) {
+      return res.status(401).json({ message: "Session does not belong to user" });
+    }
+
+    // HR 2FA state: company policy may make it mandatory (enforced in verifyHR)
+    const mfaEnabled = !!(user.mfa && user.mfa.enabled);
+    let mfaRequired = false;
+    if (user.role === "hr") {
+      const settings = await getCompanySettings(db, (user.email || "").toLowerCase());
+      mfaRequired = !!settings.requireHrMfa;
+    }
+
     // normalize and attach to req.user (do not expose sensitive fields)
     // ensure email is lowercased and role present
     req.user = {
@@ -82,6 +103,11 @@ module.exports = async function verifyToken(req, res, next) {
       role: user.role || "employee",
       name: user.name || null,
       companyName: user.companyName || null,
+      // accounts created before email verification existed have no flag and count as verified
+      emailVerified: user.emailVerified !== false,
+      sessionId: session._id,
+      mfaEnabled,
+      mfaRequired,
       // include other non-sensitive fields you need (but avoid tokens/passwords)
     };
 
@@ -0,0 +1,68 @@
+// src/middlewares/verifyTokenOrApiKey.js
+const { getDB } = require("../config/db");
+const verifyToken = require("./verifyToken");
+const { getCompanySettings } = require("../utils/companySettings");
+const { isApiKey, findActiveApiKey, touchApiKey } = require("../utils/apiKeys");
+
+// API key from X-API-Key or Authorization: Bearer av_...
+function presentedApiKey(req) {
+  if (req.headers["x-api-key"]) return req.headers["x-api-key"];
+  const authHeader = req.headers["authorization"] || "";
+  const [scheme, value] = authHeader.split(" ");
+  return scheme === "Bearer" && isApiKey(value) ? value : null;
+}
+
+/**
+ * verifyTokenOrApiKey(scope) middleware factory
+ * - drop-in replacement for verifyToken on routes that scripts may call
+ * - requests without an API key go through verifyToken unchanged
+ * - an API key must be active and carry `scope`; req.user becomes the key's owner and
+ *   req.apiKey = { id, name, scopes }
+ * Routes that keep plain verifyToken stay closed to API keys.
+ */
+module.exports = function verifyTokenOrApiKey(scope) {
+  return async function (req, res, next) {
+    const key = presentedApiKey(req);
+    if (!key) return verifyToken(req, res, next);
+
+    try {
+      const db = getDB();
+      const apiKey = await findActiveApiKey(db, key);
+      if (!apiKey) {
+        return res.status(401).json({ message: "Invalid, revoked or expired API key" });
+      }
+      if (!apiKey.scopes.includes(scope)) {
+        return res.status(403).json({ message: `API key is missing the '${scope}' scope` });
+      }
+
+      const user = await db
+        .collection("users")
+        .findOne({ _id: apiKey.userId }, { projection: { password: 0, "mfa.secret": 0, "mfa.pendingSecret": 0, "mfa.recoveryCodes": 0 } });
+      if (!user || user.role !== "hr") {
+        return res.status(401).json({ message: "API key owner no longer has access" });
+      }
+
+      const settings = await getCompanySettings(db, (user.email || "").toLowerCase());
+
+      req.user = {
+        _id: user._id,
+        id: user._id,
+        email: (user.email || "").toLowerCase(),
+        role: user.role,
+        name: user.name || null,
+        companyName: user.companyName || null,
+        emailVerified: user.emailVerified !== false,
+        sessionId: null,
+        mfaEnabled: !!(user.mfa && user.mfa.enabled),
+        mfaRequired: !!settings.requireHrMfa,
+      };
+      req.apiKey = { id: apiKey._id, name: apiKey.name, scopes: apiKey.scopes };
+
+      await touchApiKey(db, apiKey, req.ip);
+      return next();
+    } catch (err) {
+      console.error("verifyTokenOrApiKey error:", err);
+      return res.status(500).json({ message: "Internal server error in auth" });
+    }
+  };
+};
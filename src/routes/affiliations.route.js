@@ -1,10 +1,30 @@
 // src/routes/affiliations.route.js
 const express = require('express');
-const { ObjectId } = require('mongodb');
 const router = express.Router();
 const { getDB, getClient } = require('../config/db');
 const verifyToken = require('../middlewares/verifyToken');
+const verifyTokenOrApiKey = require('../middlewares/verifyTokenOrApiKey');
 const verifyHR = require('../middlewares/verifyHR');
+const auditLog = require('../middlewares/auditLog');
+const { notify, publishNotifications } = require('../utils/notifications');
+const { ACTIVE_ASSIGNMENT_STATUSES, completeReturn, publishReturned } = require('../utils/assetReturns');
+const { publish } = require('../utils/eventBus');
+const { loginLimiter, accountKey } = require('../utils/loginLimiter');
+const { exportFormat, streamExport, exportFailed } = require('../utils/exports');
+
+// HR list filters shared by GET /affiliations/company and GET /affiliations/export: q (employee name/email)
+function buildAffiliationFilter(hr, query) {
+  const q = query.q ? String(query.q).trim() : null;
+
+  const filter = { hrEmail: hr.email };
+  if (q) {
+    filter.$or = [
+      { employeeName: { $regex: q, $options: 'i' } },
+      { employeeEmail: { $regex: q, $options: 'i' } }
+    ];
+  }
+  return filter;
+}
 
 /**
  * GET /affiliations/my
@@ -48,7 +68,7 @@ router.get('/my', verifyToken, async (req, res) => {
  * HR-only: list employees affiliated with this HR's company
  * Query: page, limit, q (search by name/email)
  */
-router.get('/company', verifyToken, verifyHR, async (req, res) => {
+router.get('/company', verifyTokenOrApiKey('employees:read'), verifyHR, async (req, res) => {
   try {
     const db = getDB();
     const hr = req.user;
@@ -56,15 +76,8 @@ router.get('/company', verifyToken, verifyHR, async (req, res) => {
     const page = Math.max(1, parseInt(req.query.page || '1', 10));
     const limit = Math.max(1, parseInt(req.query.limit || '10', 10));
     const skip = (page - 1) * limit;
-    const q = req.query.q ? String(req.query.q).trim() : null;
-
-    const filter = { hrEmail: hr.email };
-    if (q) {
-      filter.$or = [
-        { employeeName: { $regex: q, $options: 'i' } },
-        { employeeEmail: { $regex: q, $options: 'i' } }
-      ];
-    }
+
+    const filter = buildAffiliationFilter(hr, req.query);
 
     const total = await db.collection('employeeAffiliations').countDocuments(filter);
     const items = await db.collection('employeeAffiliations')
@@ -87,6 +100,52 @@ router.get('/company', verifyToken, verifyHR, async (req, res) => {
   }
 });
 
+/**
+ * GET /affiliations/export
+ * HR-only: stream this HR's employee affiliations as CSV or NDJSON
+ * Query: format (csv|ndjson, default csv), q
+ */
+router.get('/export', verifyTokenOrApiKey('employees:read'), auditLog('employee.export'), verifyHR, async (req, res) => {
+  const { format, error } = exportFormat(req.query);
+  if (error) return res.status(400).json({ message: error });
+  try {
+    const db = getDB();
+    const cursor = db.collection('employeeAffiliations')
+      .find(buildAffiliationFilter(req.user, req.query))
+      .sort({ affiliationDate: -1 });
+    return await streamExport(res, cursor, {
+      name: 'employee-affiliations',
+      format,
+      columns: ['_id', 'employeeName', 'employeeEmail', 'companyName', 'status', 'affiliationDate'],
+    });
+  } catch (err) {
+    console.error('Export affiliations error:', err);
+    return exportFailed(res, err, 'Failed to export affiliations');
+  }
+});
+
+/**
+ * POST /affiliations/:employeeEmail/unlock
+ * HR-only: clear the login lockout of an employee affiliated with this HR's company
+ */
+router.post('/:employeeEmail/unlock', verifyToken, auditLog('employee.unlock', { targetType: 'employee', targetParam: 'employeeEmail' }), verifyHR, async (req, res) => {
+  try {
+    const db = getDB();
+    const hr = req.user;
+    const employeeEmail = String(req.params.employeeEmail || '').toLowerCase();
+
+    const affiliation = await db.collection('employeeAffiliations').findOne({ employeeEmail, hrEmail: hr.email });
+    if (!affiliation) return res.status(404).json({ message: 'Affiliation not found for this employee under your company' });
+
+    await loginLimiter.reset(accountKey(employeeEmail));
+
+    return res.json({ message: 'Employee account unlocked', employeeEmail });
+  } catch (err) {
+    console.error('Unlock employee error:', err);
+    return res.status(500).json({ message: 'Failed to unlock employee', error: err.message });
+  }
+});
+
 /**
  * DELETE /affiliations/:employeeEmail
  * HR-only: remove employee affiliation for this HR.
@@ -94,11 +153,12 @@ router.get('/company', verifyToken, verifyHR, async (req, res) => {
  *  - verify affiliation exists and belongs to this HR
  *  - find assignedAssets for employee under this HR with status 'assigned'
  *  - for each assigned: mark assignedAssets.status='returned', set returnDate; increment assets.availableQuantity
+ *    unless the employee reported the item damaged or lost
  *  - update related requests (approved -> returned)
  *  - delete affiliation document
  *  - decrement users.currentEmployees for HR
  */
-router.delete('/:employeeEmail', verifyToken, verifyHR, async (req, res) => {
+router.delete('/:employeeEmail', verifyTokenOrApiKey('employees:write'), auditLog('employee.remove', { targetType: 'employee', targetParam: 'employeeEmail' }), verifyHR, async (req, res) => {
   const db = getDB();
   const client = getClient();
   const hr = req.user;
@@ -109,12 +169,13 @@ router.delete('/:employeeEmail', verifyToken, verifyHR, async (req, res) => {
   const session = client.startSession();
   try {
     let resultSummary = null;
+    let returnedItems = [];
+    let stockNotifications = [];
 
     await session.withTransaction(async () => {
+      stockNotifications = [];
       const affColl = db.collection('employeeAffiliations');
       const assignedColl = db.collection('assignedAssets');
-      const assetsColl = db.collection('assets');
-      const requestsColl = db.collection('requests');
       const usersColl = db.collection('users');
 
       // 1) Find affiliation
@@ -124,43 +185,27 @@ router.delete('/:employeeEmail', verifyToken, verifyHR, async (req, res) => {
       );
       if (!affiliation) throw new Error('Affiliation not found for this employee under your company');
 
-      // 2) Find assigned assets for this employee under this HR with status 'assigned'
+      // 2) Find assigned assets for this employee under this HR that are still held (incl. pending returns)
       const assignedCursor = assignedColl.find(
-        { employeeEmail: employeeEmail, hrEmail: hr.email, status: 'assigned' },
+        { employeeEmail: employeeEmail, hrEmail: hr.email, status: { $in: ACTIVE_ASSIGNMENT_STATUSES } },
         { session }
       );
 
       const assignedList = await assignedCursor.toArray();
 
-      // 3) For each assigned asset: mark returned and increment asset.availableQuantity
-      const now = new Date();
+      // 3) For each assigned asset: mark returned in the condition the employee reported (good when there was
+      //    no return request), restock usable items and close the request
+      returnedItems = [];
       for (const assigned of assignedList) {
-        // update assignedAssets status
-        await assignedColl.updateOne(
-          { _id: assigned._id },
-          { $set: { status: 'returned', returnDate: now } },
-          { session }
-        );
-
-        // increment asset availableQuantity if asset exists
-        if (assigned.assetId) {
-          await assetsColl.updateOne(
-            { _id: new ObjectId(assigned.assetId) },
-            { $inc: { availableQuantity: 1 } },
-            { session }
-          );
-
-          // mark related request as returned if there is one that was approved
-          await requestsColl.updateOne(
-            {
-              assetId: new ObjectId(assigned.assetId),
-              requesterEmail: employeeEmail,
-              requestStatus: 'approved'
-            },
-            { $set: { requestStatus: 'returned' } },
-            { session }
-          );
-        }
+        const condition = (assigned.returnRequest && assigned.returnRequest.condition) || 'good';
+        const { restocked, notifications } = await completeReturn(db, assigned, {
+          condition,
+          notes: 'Returned on employee removal',
+          processedBy: hr.email,
+          session
+        });
+        stockNotifications.push(...notifications);
+        returnedItems.push({ assigned, condition, restocked });
       }
 
       // 4) Delete affiliation
@@ -185,6 +230,25 @@ router.delete('/:employeeEmail', verifyToken, verifyHR, async (req, res) => {
     });
 
     await session.endSession();
+
+    publishNotifications(stockNotifications);
+    await notify(db, {
+      recipientEmail: employeeEmail,
+      type: 'employee.removed',
+      title: 'Removed from company',
+      message: `You were removed from ${resultSummary.removedAffiliation.companyName || 'the company'}; ${resultSummary.returnedCount} assigned item(s) were returned`,
+      data: { hrEmail: hr.email, companyName: resultSummary.removedAffiliation.companyName || null },
+    });
+
+    for (const { assigned, condition, restocked } of returnedItems) {
+      publishReturned(assigned, { condition, restocked, processedBy: hr.email });
+    }
+    publish('employee.removed', {
+      hrEmail: hr.email,
+      recipients: [employeeEmail, hr.email],
+      data: { employeeEmail, companyName: resultSummary.removedAffiliation.companyName || null, returnedCount: resultSummary.returnedCount },
+    });
+
     return res.json(resultSummary);
   } catch (err) {
     try { await session.abortTransaction(); } catch(e){/*ignore*/ }
@@ -0,0 +1,255 @@
+// src/routes/analytics.route.js
+const express = require('express');
+const router = express.Router();
+const { getDB } = require('../config/db');
+const verifyTokenOrApiKey = require('../middlewares/verifyTokenOrApiKey');
+const verifyHR = require('../middlewares/verifyHR');
+const { ACTIVE_ASSIGNMENT_STATUSES } = require('../utils/assetReturns');
+
+/**
+ * HR analytics endpoints (MongoDB aggregation pipelines), scoped to the HR's hrEmail.
+ * Every endpoint accepts a date range: ?from=YYYY-MM-DD&to=YYYY-MM-DD (ISO dates, both optional).
+ * The range applies to the natural date of each collection:
+ *   assets.dateAdded, requests.requestDate, assignedAssets.assignmentDate
+ */
+
+// returns { range: { $gte?, $lte? } | null, error }
+function parseDateRange(query) {
+  const range = {};
+  for (const [key, op] of [['from', '$gte'], ['to', '$lte']]) {
+    if (!query[key]) continue;
+    const date = new Date(String(query[key]));
+    if (Number.isNaN(date.getTime())) return { error: `${key} must be a valid date` };
+    range[op] = date;
+  }
+  return { range: Object.keys(range).length ? range : null };
+}
+
+function withRange(match, field, range) {
+  return range ? { ...match, [field]: range } : match;
+}
+
+/**
+ * GET /analytics/asset-types
+ * Returnable vs Non-returnable split: asset count, total and available quantity, currently assigned items
+ */
+router.get('/asset-types', verifyTokenOrApiKey('analytics:read'), verifyHR, async (req, res) => {
+  try {
+    const db = getDB();
+    const { range, error } = parseDateRange(req.query);
+    if (error) return res.status(400).json({ message: error });
+
+    const assets = await db.collection('assets').aggregate([
+      { $match: withRange({ hrEmail: req.user.email }, 'dateAdded', range) },
+      {
+        $group: {
+          _id: '$productType',
+          assets: { $sum: 1 },
+          totalQuantity: { $sum: '$productQuantity' },
+          availableQuantity: { $sum: '$availableQuantity' },
+        }
+      },
+    ]).toArray();
+
+    const assigned = await db.collection('assignedAssets').aggregate([
+      { $match: withRange({ hrEmail: req.user.email, status: { $in: ACTIVE_ASSIGNMENT_STATUSES } }, 'assignmentDate', range) },
+      { $group: { _id: '$assetType', assignedItems: { $sum: 1 } } },
+    ]).toArray();
+
+    const assignedMap = assigned.reduce((map, doc) => {
+      map[doc._id] = doc.assignedItems;
+      return map;
+    }, {});
+
+    const items = ['Returnable', 'Non-returnable'].map((type) => {
+      const doc = assets.find((a) => a._id === type) || {};
+      return {
+        productType: type,
+        assets: doc.assets || 0,
+        totalQuantity: doc.totalQuantity || 0,
+        availableQuantity: doc.availableQuantity || 0,
+        assignedItems: assignedMap[type] || 0,
+      };
+    });
+
+    return res.json({ items });
+  } catch (err) {
+    console.error('Asset types analytics error:', err);
+    return res.status(500).json({ message: 'Failed to fetch analytics', error: err.message });
+  }
+});
+
+/**
+ * GET /analytics/top-requested
+ * Most requested assets. Query: limit (default 5) + date range
+ */
+router.get('/top-requested', verifyTokenOrApiKey('analytics:read'), verifyHR, async (req, res) => {
+  try {
+    const db = getDB();
+    const { range, error } = parseDateRange(req.query);
+    if (error) return res.status(400).json({ message: error });
+    const limit = Math.max(1, parseInt(req.query.limit || '5', 10));
+
+    const items = await db.collection('requests').aggregate([
+      { $match: withRange({ hrEmail: req.user.email }, 'requestDate', range) },
+      {
+        $group: {
+          _id: '$assetId',
+          assetName: { $last: '$assetName' },
+          assetType: { $last: '$assetType' },
+          requests: { $sum: 1 },
+          approved: { $sum: { $cond: [{ $in: ['$requestStatus', ['approved', 'returned']] }, 1, 0] } },
+        }
+      },
+      { $sort: { requests: -1, assetName: 1 } },
+      { $limit: limit },
+      { $project: { _id: 0, assetId: '$_id', assetName: 1, assetType: 1, requests: 1, approved: 1 } },
+    ]).toArray();
+
+    return res.json({ items });
+  } catch (err) {
+    console.error('Top requested analytics error:', err);
+    return res.status(500).json({ message: 'Failed to fetch analytics', error: err.message });
+  }
+});
+
+/**
+ * GET /analytics/request-volume
+ * Requests per period with approval rate and average time-to-approve (hours).
+ * Query: interval=day|week|month (default day) + date range
+ */
+router.get('/request-volume', verifyTokenOrApiKey('analytics:read'), verifyHR, async (req, res) => {
+  try {
+    const db = getDB();
+    const { range, error } = parseDateRange(req.query);
+    if (error) return res.status(400).json({ message: error });
+    const interval = ['day', 'week', 'month'].includes(req.query.interval) ? req.query.interval : 'day';
+
+    const items = await db.collection('requests').aggregate([
+      { $match: withRange({ hrEmail: req.user.email }, 'requestDate', range) },
+      {
+        $group: {
+          _id: { $dateTrunc: { date: '$requestDate', unit: interval } },
+          total: { $sum: 1 },
+          approved: { $sum: { $cond: [{ $in: ['$requestStatus', ['approved', 'returned']] }, 1, 0] } },
+          rejected: { $sum: { $cond: [{ $eq: ['$requestStatus', 'rejected'] }, 1, 0] } },
+          avgApproveMs: {
+            $avg: {
+              $cond: [
+                { $and: [{ $in: ['$requestStatus', ['approved', 'returned']] }, { $ne: ['$approvalDate', null] }] },
+                { $subtract: ['$approvalDate', '$requestDate'] },
+                null
+              ]
+            }
+          },
+        }
+      },
+      { $sort: { _id: 1 } },
+      {
+        $project: {
+          _id: 0,
+          period: '$_id',
+          total: 1,
+          approved: 1,
+          rejected: 1,
+          approvalRate: {
+            $cond: [
+              { $gt: [{ $add: ['$approved', '$rejected'] }, 0] },
+              { $round: [{ $divide: ['$approved', { $add: ['$approved', '$rejected'] }] }, 4] },
+              null
+            ]
+          },
+          avgHoursToApprove: {
+            $cond: [{ $eq: ['$avgApproveMs', null] }, null, { $round: [{ $divide: ['$avgApproveMs', 3600000] }, 2] }]
+          },
+        }
+      },
+    ]).toArray();
+
+    return res.json({ interval, items });
+  } catch (err) {
+    console.error('Request volume analytics error:', err);
+    return res.status(500).json({ message: 'Failed to fetch analytics', error: err.message });
+  }
+});
+
+/**
+ * GET /analytics/low-stock
+ * Assets whose availableQuantity is at or below a threshold.
+ * Query: threshold (default 2) + date range (on dateAdded)
+ */
+router.get('/low-stock', verifyTokenOrApiKey('analytics:read'), verifyHR, async (req, res) => {
+  try {
+    const db = getDB();
+    const { range, error } = parseDateRange(req.query);
+    if (error) return res.status(400).json({ message: error });
+    const threshold = Math.max(0, parseInt(req.query.threshold || '2', 10));
+
+    const items = await db.collection('assets').aggregate([
+      { $match: withRange({ hrEmail: req.user.email, availableQuantity: { $lte: threshold } }, 'dateAdded', range) },
+      { $sort: { availableQuantity: 1, productName: 1 } },
+      { $project: { productName: 1, productType: 1, productQuantity: 1, availableQuantity: 1 } },
+    ]).toArray();
+
+    return res.json({ threshold, items });
+  } catch (err) {
+    console.error('Low stock analytics error:', err);
+    return res.status(500).json({ message: 'Failed to fetch analytics', error: err.message });
+  }
+});
+
+/**
+ * GET /analytics/employee-holdings
+ * Items currently held per employee, split by asset type.
+ * Query: page, limit + date range (on assignmentDate)
+ */
+router.get('/employee-holdings', verifyTokenOrApiKey('analytics:read'), verifyHR, async (req, res) => {
+  try {
+    const db = getDB();
+    const { range, error } = parseDateRange(req.query);
+    if (error) return res.status(400).json({ message: error });
+
+    const page = Math.max(1, parseInt(req.query.page || '1', 10));
+    const limit = Math.max(1, parseInt(req.query.limit || '10', 10));
+    const skip = (page - 1) * limit;
+
+    const [result] = await db.collection('assignedAssets').aggregate([
+      { $match: withRange({ hrEmail: req.user.email, status: { $in: ACTIVE_ASSIGNMENT_STATUSES } }, 'assignmentDate', range) },
+      {
+        $group: {
+          _id: { $toLower: '$employeeEmail' },
+          employeeName: { $last: '$employeeName' },
+          items: { $sum: 1 },
+          returnable: { $sum: { $cond: [{ $eq: ['$assetType', 'Returnable'] }, 1, 0] } },
+          nonReturnable: { $sum: { $cond: [{ $eq: ['$assetType', 'Non-returnable'] }, 1, 0] } },
+          lastAssignment: { $max: '$assignmentDate' },
+        }
+      },
+      { $sort: { items: -1, _id: 1 } },
+      {
+        $facet: {
+          total: [{ $count: 'count' }],
+          items: [
+            { $skip: skip },
+            { $limit: limit },
+            { $project: { _id: 0, employeeEmail: '$_id', employeeName: 1, items: 1, returnable: 1, nonReturnable: 1, lastAssignment: 1 } },
+          ],
+        }
+      },
+    ]).toArray();
+
+    const total = result && result.total[0] ? result.total[0].count : 0;
+    return res.json({
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      items: result ? result.items : [],
+    });
+  } catch (err) {
+    console.error('Employee holdings analytics error:', err);
+    return res.status(500).json({ message: 'Failed to fetch analytics', error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,122 @@
+// src/routes/apiKeys.route.js
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const router = express.Router();
+const { getDB } = require('../config/db');
+const verifyToken = require('../middlewares/verifyToken');
+const verifyHR = require('../middlewares/verifyHR');
+const auditLog = require('../middlewares/auditLog');
+const { API_KEY_SCOPES, MAX_ACTIVE_KEYS, generateApiKey, validateScopes } = require('../utils/apiKeys');
+
+// never return the hash
+const API_KEY_PROJECTION = { keyHash: 0 };
+
+/**
+ * GET /api-keys/scopes
+ * HR-only: scopes a key can be granted
+ */
+router.get('/scopes', verifyToken, verifyHR, (req, res) => {
+  return res.json({ scopes: API_KEY_SCOPES });
+});
+
+/**
+ * GET /api-keys
+ * HR-only: keys created by this HR (including revoked ones), newest first
+ */
+router.get('/', verifyToken, verifyHR, async (req, res) => {
+  try {
+    const db = getDB();
+    const items = await db.collection('apiKeys')
+      .find({ userId: req.user._id }, { projection: API_KEY_PROJECTION })
+      .sort({ createdAt: -1 })
+      .toArray();
+    return res.json({ items });
+  } catch (err) {
+    console.error('List API keys error:', err);
+    return res.status(500).json({ message: 'Failed to fetch API keys', error: err.message });
+  }
+});
+
+/**
+ * POST /api-keys
+ * HR-only: create a key
+ * Body: { name, scopes: [scope], expiresAt? (ISO date in the future) }
+ * Response includes the plain key (shown once)
+ */
+router.post('/', verifyToken, auditLog('api_key.create', { targetType: 'apiKey' }), verifyHR, async (req, res) => {
+  try {
+    const db = getDB();
+    const hr = req.user;
+    const { name, scopes, expiresAt } = req.body || {};
+
+    if (!name || !String(name).trim()) return res.status(400).json({ message: 'name is required' });
+    const scopesError = validateScopes(scopes);
+    if (scopesError) return res.status(400).json({ message: scopesError });
+
+    let expires = null;
+    if (expiresAt !== undefined && expiresAt !== null) {
+      expires = new Date(expiresAt);
+      if (isNaN(expires.getTime())) return res.status(400).json({ message: 'expiresAt must be a valid date' });
+      if (expires <= new Date()) return res.status(400).json({ message: 'expiresAt must be in the future' });
+    }
+
+    const activeCount = await db.collection('apiKeys').countDocuments({
+      userId: hr._id,
+      revokedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+    });
+    if (activeCount >= MAX_ACTIVE_KEYS) {
+      return res.status(400).json({ message: `At most ${MAX_ACTIVE_KEYS} active API keys allowed` });
+    }
+
+    const { key, keyPrefix, keyHash } = generateApiKey();
+    const apiKey = {
+      userId: hr._id,
+      hrEmail: hr.email,
+      companyName: hr.companyName || null,
+      name: String(name).trim(),
+      scopes: [...new Set(scopes)],
+      keyPrefix,
+      keyHash,
+      expiresAt: expires,
+      createdAt: new Date(),
+      lastUsedAt: null,
+      lastUsedIp: null,
+      revokedAt: null,
+    };
+    const result = await db.collection('apiKeys').insertOne(apiKey);
+
+    const created = await db.collection('apiKeys').findOne({ _id: result.insertedId }, { projection: API_KEY_PROJECTION });
+
+    res.locals.audit = { targetId: String(result.insertedId), details: { name: created.name, scopes: created.scopes } };
+    return res.status(201).json({ message: 'API key created', key, apiKey: created });
+  } catch (err) {
+    console.error('Create API key error:', err);
+    return res.status(500).json({ message: 'Failed to create API key', error: err.message });
+  }
+});
+
+/**
+ * DELETE /api-keys/:id
+ * HR-only: revoke a key (kept in the list with revokedAt set)
+ */
+router.delete('/:id', verifyToken, auditLog('api_key.revoke', { targetType: 'apiKey', targetParam: 'id' }), verifyHR, async (req, res) => {
+  try {
+    const db = getDB();
+    const id = req.params.id;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ message: 'Invalid API key id' });
+
+    const result = await db.collection('apiKeys').updateOne(
+      { _id: new ObjectId(id), userId: req.user._id, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+    if (result.matchedCount === 0) return res.status(404).json({ message: 'API key not found or already revoked' });
+
+    return res.json({ message: 'API key revoked' });
+  } catch (err) {
+    console.error('Revoke API key error:', err);
+    return res.status(500).json({ message: 'Failed to revoke API key', error: err.message });
+  }
+});
+
+module.exports = router;
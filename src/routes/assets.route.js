@@ -1,15 +1,30 @@
 const express = require('express');
 const { ObjectId } = require('mongodb');
 const router = express.Router();
-const { getDB } = require('../config/db');
+const { getDB, getClient } = require('../config/db');
 const verifyToken = require('../middlewares/verifyToken');
+const verifyTokenOrApiKey = require('../middlewares/verifyTokenOrApiKey');
 const verifyHR = require('../middlewares/verifyHR');
+const auditLog = require('../middlewares/auditLog');
+const { ACTIVE_ASSIGNMENT_STATUSES } = require('../utils/assetReturns');
+const { syncUnitCounts, normalizeUnitInput } = require('../utils/assetUnits');
+const { diffFields, recordAssetEvent } = require('../utils/assetHistory');
+const { validateReorderThreshold, evaluateStockAlert } = require('../utils/stockAlerts');
+const { publishNotifications } = require('../utils/notifications');
+const { parseImportCsv, planImport, applyImport, summarizePlan } = require('../utils/assetImport');
+const { exportFormat, streamExport, exportFailed } = require('../utils/exports');
+
+// raw CSV uploads for /import (everything else is JSON); mounted after auth, so only HRs get a 5 MB body read
+const csvBody = express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' });
 
 /**
  * POST /assets
  * HR only - create new asset
+ * Optional body.units: [{ serialNumber?, assetTag?, purchaseDate?, status? }] enables unit tracking;
+ * productQuantity/availableQuantity are then derived from the units.
+ * Optional body.reorderThreshold: low-stock alert when availableQuantity drops to or below it.
  */
-router.post('/', verifyToken, verifyHR, async (req, res) => {
+router.post('/', verifyTokenOrApiKey('assets:write'), auditLog('asset.create', { targetType: 'asset' }), verifyHR, async (req, res) => {
   try {
     const db = getDB();
     const hr = req.user; 
@@ -22,7 +37,10 @@ router.post('/', verifyToken, verifyHR, async (req, res) => {
       companyName = hr.companyName || null
     } = req.body;
 
-    if (!productName || !productType || !productQuantity) {
+    const unitsInput = Array.isArray(req.body.units) && req.body.units.length > 0 ? req.body.units : null;
+    const reorderThreshold = req.body.reorderThreshold === undefined ? null : req.body.reorderThreshold;
+
+    if (!productName || !productType || (!productQuantity && !unitsInput)) {
       return res.status(400).json({ message: 'productName, productType and productQuantity are required' });
     }
 
@@ -30,11 +48,23 @@ router.post('/', verifyToken, verifyHR, async (req, res) => {
       return res.status(400).json({ message: 'productType must be "Returnable" or "Non-returnable"' });
     }
 
-    const qty = Number(productQuantity);
+    const units = [];
+    if (unitsInput) {
+      for (const [index, input] of unitsInput.entries()) {
+        const { unit, error } = normalizeUnitInput(input || {});
+        if (error) return res.status(400).json({ message: `units[${index}]: ${error}` });
+        units.push(unit);
+      }
+    }
+
+    const qty = unitsInput ? units.length : Number(productQuantity);
     if (!Number.isInteger(qty) || qty < 0) {
       return res.status(400).json({ message: 'productQuantity must be a non-negative integer' });
     }
 
+    const thresholdError = validateReorderThreshold(reorderThreshold);
+    if (thresholdError) return res.status(400).json({ message: thresholdError });
+
     const now = new Date();
     const assetDoc = {
       productName: String(productName),
@@ -45,18 +75,161 @@ router.post('/', verifyToken, verifyHR, async (req, res) => {
       dateAdded: now,
       hrEmail: hr.email,
       companyName: companyName || null,
+      unitTracking: !!unitsInput,
+      reorderThreshold: reorderThreshold === null ? null : Number(reorderThreshold),
     };
 
-    const result = await db.collection('assets').insertOne(assetDoc);
-    const created = await db.collection('assets').findOne({ _id: result.insertedId });
+    let assetId;
+    if (unitsInput) {
+      // asset + units together, counts derived from the inserted units
+      const session = getClient().startSession();
+      try {
+        await session.withTransaction(async () => {
+          const result = await db.collection('assets').insertOne(assetDoc, { session });
+          assetId = result.insertedId;
+          await db.collection('assetUnits').insertMany(
+            units.map((unit) => ({ ...unit, assetId, hrEmail: hr.email, assignedTo: null, createdAt: now, updatedAt: now })),
+            { session }
+          );
+          await syncUnitCounts(db, assetId, session);
+        });
+      } finally {
+        await session.endSession();
+      }
+    } else {
+      const result = await db.collection('assets').insertOne(assetDoc);
+      assetId = result.insertedId;
+    }
+
+    await evaluateStockAlert(db, assetId);
+
+    const created = await db.collection('assets').findOne({ _id: assetId });
+    res.locals.audit = { targetId: String(assetId) };
+
+    await recordAssetEvent(db, {
+      assetId,
+      type: 'created',
+      actor: hr.email,
+      hrEmail: hr.email,
+      companyName: created.companyName,
+      details: {
+        productName: created.productName,
+        productType: created.productType,
+        productQuantity: created.productQuantity,
+        units: units.length,
+      },
+    });
 
     return res.status(201).json({ message: 'Asset created', asset: created });
   } catch (err) {
     console.error('Create asset error:', err);
+    if (err.code === 11000) {
+      return res.status(409).json({ message: 'Duplicate serialNumber or assetTag' });
+    }
     return res.status(500).json({ message: 'Failed to create asset', error: err.message });
   }
 });
 
+/**
+ * POST /assets/import
+ * HR only - bulk create/update assets from CSV (see utils/assetImport for the columns and upsert rules)
+ * Body: text/csv, or JSON { csv, dryRun? }; dry run also via ?dryRun=true
+ * - dry run: validates and returns what each row would do, writes nothing
+ * - otherwise all rows are applied in one transaction, or none when any row is invalid (422 + per-row errors)
+ */
+router.post('/import', verifyTokenOrApiKey('assets:write'), auditLog('asset.import'), verifyHR, csvBody, async (req, res) => {
+  const db = getDB();
+  const hr = req.user;
+
+  if (req.is('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') || req.is('application/vnd.ms-excel')) {
+    return res.status(415).json({ message: 'Spreadsheet files are not supported; save the sheet as CSV and upload that' });
+  }
+
+  const body = req.body || {};
+  const csvText = typeof body === 'string' ? body : body.csv;
+  const dryRun = req.query.dryRun === 'true' || body.dryRun === true;
+  if (typeof csvText !== 'string' || !csvText.trim()) {
+    return res.status(400).json({ message: 'CSV content is required (text/csv body or JSON { csv })' });
+  }
+
+  const { rows, error } = parseImportCsv(csvText);
+  if (error) return res.status(400).json({ message: error });
+
+  const describe = (plan) => plan.map(({ line, action, input }) => ({
+    line,
+    action,
+    productName: input.productName,
+    assetTag: input.unit ? input.unit.assetTag : null,
+  }));
+
+  if (dryRun) {
+    try {
+      const { plan, errors } = await planImport(db, hr, rows);
+      return res.json({
+        dryRun: true,
+        valid: errors.length === 0,
+        summary: summarizePlan(plan),
+        rows: describe(plan),
+        errors,
+      });
+    } catch (err) {
+      console.error('Import assets (dry run) error:', err);
+      return res.status(500).json({ message: 'Failed to validate import', error: err.message });
+    }
+  }
+
+  const session = getClient().startSession();
+  try {
+    let result = null;
+    await session.withTransaction(async () => {
+      const { plan, errors } = await planImport(db, hr, rows, session);
+      if (errors.length) {
+        result = { errors };
+        return;
+      }
+      const assetIds = await applyImport(db, hr, plan, session);
+      result = { plan, assetIds };
+    }, {
+      readPreference: 'primary',
+      readConcern: { level: 'local' },
+      writeConcern: { w: 'majority' }
+    });
+
+    await session.endSession();
+
+    if (result.errors) {
+      return res.status(422).json({ message: 'Import has invalid rows; nothing was imported', errors: result.errors });
+    }
+
+    for (const assetId of result.assetIds) await evaluateStockAlert(db, assetId);
+
+    const summary = summarizePlan(result.plan);
+    res.locals.audit = { details: { rows: rows.length, ...summary } };
+    return res.json({ message: 'Import completed', dryRun: false, summary, rows: describe(result.plan) });
+  } catch (err) {
+    await session.abortTransaction().catch(() => {});
+    await session.endSession();
+    console.error('Import assets error:', err);
+    if (err.code === 11000) {
+      return res.status(409).json({ message: 'Duplicate serialNumber or assetTag' });
+    }
+    return res.status(500).json({ message: 'Failed to import assets', error: err.message });
+  }
+});
+
+// list filters shared by GET /assets and GET /assets/export: q (productName), type, company
+function buildAssetFilter(query) {
+  const q = query.q ? String(query.q).trim() : null;
+  const type = query.type ? String(query.type) : null;
+  const company = query.company ? String(query.company).trim() : null;
+
+  const filter = {};
+  if (q) filter.productName = { $regex: q, $options: 'i' };
+  if (type && ['Returnable', 'Non-returnable'].includes(type)) filter.productType = type;
+  if (company) filter.companyName = company;
+  return filter;
+}
+
 /**
  * GET /assets
  * Public - paginated list with optional search & filter
@@ -70,14 +243,7 @@ router.get('/', async (req, res) => {
     const limit = Math.max(1, parseInt(req.query.limit || '10', 10));
     const skip = (page - 1) * limit;
 
-    const q = req.query.q ? String(req.query.q).trim() : null;
-    const type = req.query.type ? String(req.query.type) : null;
-    const company = req.query.company ? String(req.query.company).trim() : null;
-
-    const filter = {};
-    if (q) filter.productName = { $regex: q, $options: 'i' };
-    if (type && ['Returnable', 'Non-returnable'].includes(type)) filter.productType = type;
-    if (company) filter.companyName = company;
+    const filter = buildAssetFilter(req.query);
 
     // Only return assets with availableQuantity > 0 by default? Spec shows listing all; keep all but allow client to filter.
     const total = await db.collection('assets').countDocuments(filter);
@@ -102,6 +268,117 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * GET /assets/export
+ * HR only - stream this HR's assets as CSV or NDJSON
+ * Query: format (csv|ndjson, default csv) and the GET /assets filters (q, type)
+ */
+router.get('/export', verifyTokenOrApiKey('assets:read'), auditLog('asset.export'), verifyHR, async (req, res) => {
+  const { format, error } = exportFormat(req.query);
+  if (error) return res.status(400).json({ message: error });
+  try {
+    const db = getDB();
+    const cursor = db.collection('assets')
+      .find({ ...buildAssetFilter(req.query), hrEmail: req.user.email })
+      .sort({ dateAdded: -1 });
+    return await streamExport(res, cursor, {
+      name: 'assets',
+      format,
+      columns: ['_id', 'productName', 'productType', 'productQuantity', 'availableQuantity', 'reorderThreshold', 'unitTracking', 'companyName', 'dateAdded', 'updatedAt'],
+    });
+  } catch (err) {
+    console.error('Export assets error:', err);
+    return exportFailed(res, err, 'Failed to export assets');
+  }
+});
+
+
+/**
+ * GET /assets/low-stock
+ * HR only - assets at or below their reorderThreshold
+ */
+router.get('/low-stock', verifyTokenOrApiKey('assets:read'), verifyHR, async (req, res) => {
+  try {
+    const db = getDB();
+    const items = await db.collection('assets')
+      .find({
+        hrEmail: req.user.email,
+        reorderThreshold: { $type: 'number' },
+        $expr: { $lte: ['$availableQuantity', '$reorderThreshold'] },
+      })
+      .sort({ availableQuantity: 1, productName: 1 })
+      .toArray();
+
+    return res.json({ total: items.length, items });
+  } catch (err) {
+    console.error('Get low stock assets error:', err);
+    return res.status(500).json({ message: 'Failed to fetch low stock assets', error: err.message });
+  }
+});
+
+
+/**
+ * GET /assets/alerts
+ * HR only - low-stock alerts for this HR, newest first
+ * Query: page, limit, status (open|resolved|all, default open)
+ */
+router.get('/alerts', verifyTokenOrApiKey('assets:read'), verifyHR, async (req, res) => {
+  try {
+    const db = getDB();
+    const page = Math.max(1, parseInt(req.query.page || '1', 10));
+    const limit = Math.max(1, parseInt(req.query.limit || '10', 10));
+    const skip = (page - 1) * limit;
+    const status = req.query.status ? String(req.query.status) : 'open';
+
+    const filter = { hrEmail: req.user.email };
+    if (status === 'open') filter.resolvedAt = null;
+    if (status === 'resolved') filter.resolvedAt = { $ne: null };
+
+    const total = await db.collection('stockAlerts').countDocuments(filter);
+    const items = await db.collection('stockAlerts')
+      .find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .toArray();
+
+    return res.json({
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      items,
+    });
+  } catch (err) {
+    console.error('Get stock alerts error:', err);
+    return res.status(500).json({ message: 'Failed to fetch alerts', error: err.message });
+  }
+});
+
+
+/**
+ * PUT /assets/alerts/:alertId/read
+ * HR only - mark a low-stock alert as read
+ */
+router.put('/alerts/:alertId/read', verifyTokenOrApiKey('assets:write'), verifyHR, async (req, res) => {
+  try {
+    const db = getDB();
+    const alertId = req.params.alertId;
+    if (!ObjectId.isValid(alertId)) return res.status(400).json({ message: 'Invalid alert id' });
+
+    const result = await db.collection('stockAlerts').updateOne(
+      { _id: new ObjectId(alertId), hrEmail: req.user.email },
+      { $set: { readAt: new Date() } }
+    );
+    if (result.matchedCount === 0) return res.status(404).json({ message: 'Alert not found' });
+
+    return res.json({ message: 'Alert marked as read' });
+  } catch (err) {
+    console.error('Mark stock alert read error:', err);
+    return res.status(500).json({ message: 'Failed to update alert', error: err.message });
+  }
+});
+
 
 /**
  * GET /assets/:id
@@ -127,8 +404,9 @@ router.get('/:id', async (req, res) => {
 /**
  * PUT /assets/:id
  * HR only - update certain fields. Note: adjusting productQuantity must adjust availableQuantity accordingly.
+ * reorderThreshold (integer or null) can be changed here; crossing it raises a low-stock alert.
  */
-router.put('/:id', verifyToken, verifyHR, async (req, res) => {
+router.put('/:id', verifyTokenOrApiKey('assets:write'), auditLog('asset.update', { targetType: 'asset', targetParam: 'id' }), verifyHR, async (req, res) => {
   try {
     const db = getDB();
     const id = req.params.id;
@@ -145,7 +423,7 @@ router.put('/:id', verifyToken, verifyHR, async (req, res) => {
     }
 
     const updates = {};
-    const allowed = ['productName', 'productImage', 'productType', 'productQuantity', 'companyName'];
+    const allowed = ['productName', 'productImage', 'productType', 'productQuantity', 'companyName', 'reorderThreshold'];
 
     for (const key of allowed) {
       if (key in req.body) updates[key] = req.body[key];
@@ -156,6 +434,16 @@ router.put('/:id', verifyToken, verifyHR, async (req, res) => {
       return res.status(400).json({ message: 'productType must be "Returnable" or "Non-returnable"' });
     }
 
+    if (updates.reorderThreshold !== undefined) {
+      const thresholdError = validateReorderThreshold(updates.reorderThreshold);
+      if (thresholdError) return res.status(400).json({ message: thresholdError });
+      updates.reorderThreshold = updates.reorderThreshold === null ? null : Number(updates.reorderThreshold);
+    }
+
+    if (existing.unitTracking && updates.productQuantity !== undefined) {
+      return res.status(400).json({ message: 'productQuantity is derived from units for unit-tracked assets; add or retire units instead' });
+    }
+
     // If productQuantity changes, adjust availableQuantity by the difference
     if (updates.productQuantity !== undefined) {
       const newQty = Number(updates.productQuantity);
@@ -174,13 +462,40 @@ router.put('/:id', verifyToken, verifyHR, async (req, res) => {
 
     updates.updatedAt = new Date();
 
-    const result = await db.collection('assets').findOneAndUpdate(
+    const updated = await db.collection('assets').findOneAndUpdate(
       { _id: new ObjectId(id) },
       { $set: updates },
       { returnDocument: 'after' }
     );
 
-    return res.json({ message: 'Asset updated', asset: result.value });
+    await evaluateStockAlert(db, existing._id);
+
+    const changes = diffFields(existing, updates, ['productName', 'productImage', 'productType', 'companyName', 'reorderThreshold']);
+    if (Object.keys(changes).length > 0) {
+      await recordAssetEvent(db, {
+        assetId: existing._id,
+        type: 'updated',
+        actor: hr.email,
+        hrEmail: existing.hrEmail,
+        companyName: updated.companyName,
+        changes,
+      });
+    }
+
+    const quantityChanges = diffFields(existing, updates, ['productQuantity', 'availableQuantity']);
+    if (Object.keys(quantityChanges).length > 0) {
+      await recordAssetEvent(db, {
+        assetId: existing._id,
+        type: 'quantity_changed',
+        actor: hr.email,
+        hrEmail: existing.hrEmail,
+        companyName: updated.companyName,
+        details: { reason: 'manual edit' },
+        changes: quantityChanges,
+      });
+    }
+
+    return res.json({ message: 'Asset updated', asset: updated });
   } catch (err) {
     console.error('Update asset error:', err);
     return res.status(500).json({ message: 'Failed to update asset', error: err.message });
@@ -193,7 +508,7 @@ router.put('/:id', verifyToken, verifyHR, async (req, res) => {
  * DELETE /assets/:id
  * HR only - delete asset
  */
-router.delete('/:id', verifyToken, verifyHR, async (req, res) => {
+router.delete('/:id', verifyTokenOrApiKey('assets:write'), auditLog('asset.delete', { targetType: 'asset', targetParam: 'id' }), verifyHR, async (req, res) => {
   try {
     const db = getDB();
     const id = req.params.id;
@@ -207,12 +522,30 @@ router.delete('/:id', verifyToken, verifyHR, async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to delete this asset' });
     }
 
-    const assignedCount = await db.collection('assignedAssets').countDocuments({ assetId: new ObjectId(id), status: 'assigned' });
+    const assignedCount = await db.collection('assignedAssets').countDocuments({ assetId: new ObjectId(id), status: { $in: ACTIVE_ASSIGNMENT_STATUSES } });
     if (assignedCount > 0) {
       return res.status(400).json({ message: 'Cannot delete asset with currently assigned items' });
     }
 
     await db.collection('assets').deleteOne({ _id: new ObjectId(id) });
+    await db.collection('assetUnits').deleteMany({ assetId: new ObjectId(id) });
+    await db.collection('stockAlerts').updateMany(
+      { assetId: new ObjectId(id), resolvedAt: null },
+      { $set: { resolvedAt: new Date() } }
+    );
+
+    await recordAssetEvent(db, {
+      assetId: existing._id,
+      type: 'deleted',
+      actor: hr.email,
+      hrEmail: existing.hrEmail,
+      companyName: existing.companyName,
+      details: {
+        productName: existing.productName,
+        productQuantity: existing.productQuantity,
+        availableQuantity: existing.availableQuantity,
+      },
+    });
 
     return res.json({ message: 'Asset deleted' });
   } catch (err) {
@@ -221,4 +554,302 @@ router.delete('/:id', verifyToken, verifyHR, async (req, res) => {
   }
 });
 
+/**
+ * POST /assets/:id/restock
+ * HR only - add stock to an asset. Body: { quantity (positive integer), note? }
+ * Raises productQuantity and availableQuantity, records a 'restocked' history event
+ * and resolves the low-stock alert once the asset is back above its threshold.
+ * Unit-tracked assets are restocked by adding units (POST /assets/:id/units).
+ */
+router.post('/:id/restock', verifyTokenOrApiKey('assets:write'), auditLog('asset.restock', { targetType: 'asset', targetParam: 'id' }), verifyHR, async (req, res) => {
+  const db = getDB();
+  const id = req.params.id;
+  if (!ObjectId.isValid(id)) return res.status(400).json({ message: 'Invalid asset id' });
+
+  const quantity = Number(req.body.quantity);
+  if (!Number.isInteger(quantity) || quantity <= 0) {
+    return res.status(400).json({ message: 'quantity must be a positive integer' });
+  }
+
+  const session = getClient().startSession();
+  try {
+    let updated = null;
+    let stockNotifications = [];
+    await session.withTransaction(async () => {
+      const asset = await db.collection('assets').findOne({ _id: new ObjectId(id) }, { session });
+      if (!asset) throw new Error('Asset not found');
+      if (asset.hrEmail !== req.user.email) throw new Error('Not authorized for this asset');
+      if (asset.unitTracking) throw new Error('Unit-tracked assets are restocked by adding units');
+
+      updated = await db.collection('assets').findOneAndUpdate(
+        { _id: asset._id },
+        { $inc: { productQuantity: quantity, availableQuantity: quantity }, $set: { updatedAt: new Date() } },
+        { returnDocument: 'after', session }
+      );
+
+      ({ notifications: stockNotifications } = await evaluateStockAlert(db, asset._id, session));
+
+      await recordAssetEvent(db, {
+        assetId: asset._id,
+        type: 'restocked',
+        actor: req.user.email,
+        hrEmail: asset.hrEmail,
+        companyName: asset.companyName,
+        details: { quantity, note: req.body.note || null },
+        changes: diffFields(asset, updated, ['productQuantity', 'availableQuantity']),
+      }, session);
+    });
+
+    await session.endSession();
+    publishNotifications(stockNotifications);
+    return res.json({ message: 'Asset restocked', asset: updated });
+  } catch (err) {
+    await session.endSession();
+    console.error('Restock asset error:', err);
+    return res.status(400).json({ message: err.message || 'Failed to restock asset' });
+  }
+});
+
+
+/**
+ * GET /assets/:id/history
+ * HR only - lifecycle events of an asset (oldest first), still readable after the asset is deleted
+ * Query: page (default 1), limit (default 50), type (event type filter)
+ */
+router.get('/:id/history', verifyTokenOrApiKey('assets:read'), verifyHR, async (req, res) => {
+  try {
+    const db = getDB();
+    const id = req.params.id;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ message: 'Invalid asset id' });
+
+    const page = Math.max(1, parseInt(req.query.page || '1', 10));
+    const limit = Math.max(1, parseInt(req.query.limit || '50', 10));
+    const skip = (page - 1) * limit;
+
+    // ownership comes from the asset, or from the log itself once the asset is gone
+    const asset = await db.collection('assets').findOne({ _id: new ObjectId(id) });
+    const ownerEmail = asset
+      ? asset.hrEmail
+      : ((await db.collection('assetEvents').findOne({ assetId: new ObjectId(id) })) || {}).hrEmail;
+    if (!ownerEmail) return res.status(404).json({ message: 'Asset not found' });
+    if (ownerEmail !== req.user.email) return res.status(403).json({ message: 'Not authorized for this asset' });
+
+    const filter = { assetId: new ObjectId(id) };
+    if (req.query.type) filter.type = String(req.query.type);
+
+    const total = await db.collection('assetEvents').countDocuments(filter);
+    const items = await db.collection('assetEvents')
+      .find(filter)
+      .sort({ at: 1, _id: 1 })
+      .skip(skip)
+      .limit(limit)
+      .toArray();
+
+    return res.json({
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      items,
+    });
+  } catch (err) {
+    console.error('Get asset history error:', err);
+    return res.status(500).json({ message: 'Failed to fetch asset history', error: err.message });
+  }
+});
+
+
+/**
+ * GET /assets/:id/units
+ * HR only - list the units of an asset
+ * Query: status (available|assigned|maintenance|retired|lost)
+ */
+router.get('/:id/units', verifyTokenOrApiKey('assets:read'), verifyHR, async (req, res) => {
+  try {
+    const db = getDB();
+    const id = req.params.id;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ message: 'Invalid asset id' });
+
+    const asset = await db.collection('assets').findOne({ _id: new ObjectId(id) });
+    if (!asset) return res.status(404).json({ message: 'Asset not found' });
+    if (asset.hrEmail !== req.user.email) return res.status(403).json({ message: 'Not authorized for this asset' });
+
+    const filter = { assetId: asset._id };
+    if (req.query.status) filter.status = String(req.query.status);
+
+    const items = await db.collection('assetUnits')
+      .find(filter)
+      .sort({ purchaseDate: 1, createdAt: 1 })
+      .toArray();
+
+    return res.json({ unitTracking: !!asset.unitTracking, total: items.length, items });
+  } catch (err) {
+    console.error('Get asset units error:', err);
+    return res.status(500).json({ message: 'Failed to fetch units', error: err.message });
+  }
+});
+
+
+/**
+ * POST /assets/:id/units
+ * HR only - add units to an asset. Body: a single unit or { units: [...] }
+ * Unit: { serialNumber?, assetTag?, purchaseDate?, status? } (serialNumber or assetTag required)
+ * The first units switch the asset to unit tracking; this is only allowed while nothing is assigned.
+ */
+router.post('/:id/units', verifyTokenOrApiKey('assets:write'), auditLog('asset.units_add', { targetType: 'asset', targetParam: 'id' }), verifyHR, async (req, res) => {
+  const db = getDB();
+  const id = req.params.id;
+  if (!ObjectId.isValid(id)) return res.status(400).json({ message: 'Invalid asset id' });
+
+  const inputs = Array.isArray(req.body.units) ? req.body.units : [req.body];
+  if (inputs.length === 0) return res.status(400).json({ message: 'At least one unit is required' });
+
+  const units = [];
+  for (const [index, input] of inputs.entries()) {
+    const { unit, error } = normalizeUnitInput(input || {});
+    if (error) return res.status(400).json({ message: `units[${index}]: ${error}` });
+    units.push(unit);
+  }
+
+  const session = getClient().startSession();
+  try {
+    let counts = null;
+    let stockNotifications = [];
+    await session.withTransaction(async () => {
+      const asset = await db.collection('assets').findOne({ _id: new ObjectId(id) }, { session });
+      if (!asset) throw new Error('Asset not found');
+      if (asset.hrEmail !== req.user.email) throw new Error('Not authorized for this asset');
+
+      if (!asset.unitTracking) {
+        const assignedCount = await db.collection('assignedAssets').countDocuments(
+          { assetId: asset._id, status: { $in: ACTIVE_ASSIGNMENT_STATUSES } },
+          { session }
+        );
+        if (assignedCount > 0) throw new Error('Unit tracking can only be enabled while no items are assigned');
+        await db.collection('assets').updateOne({ _id: asset._id }, { $set: { unitTracking: true } }, { session });
+      }
+
+      const now = new Date();
+      await db.collection('assetUnits').insertMany(
+        units.map((unit) => ({ ...unit, assetId: asset._id, hrEmail: asset.hrEmail, assignedTo: null, createdAt: now, updatedAt: now })),
+        { session }
+      );
+      counts = await syncUnitCounts(db, asset._id, session);
+      ({ notifications: stockNotifications } = await evaluateStockAlert(db, asset._id, session));
+
+      await recordAssetEvent(db, {
+        assetId: asset._id,
+        type: 'unit_added',
+        actor: req.user.email,
+        hrEmail: asset.hrEmail,
+        companyName: asset.companyName,
+        details: { units: units.map(({ serialNumber, assetTag }) => ({ serialNumber, assetTag })) },
+        changes: diffFields(asset, counts, ['productQuantity', 'availableQuantity']),
+      }, session);
+    });
+
+    await session.endSession();
+    publishNotifications(stockNotifications);
+    return res.status(201).json({ message: 'Units added', added: units.length, ...counts });
+  } catch (err) {
+    await session.endSession();
+    console.error('Add asset units error:', err);
+    if (err.code === 11000) return res.status(409).json({ message: 'Duplicate serialNumber or assetTag' });
+    return res.status(400).json({ message: err.message || 'Failed to add units' });
+  }
+});
+
+
+/**
+ * PUT /assets/:id/units/:unitId
+ * HR only - update serialNumber, assetTag, purchaseDate or status of a unit.
+ * Assigned units can't change status (return them instead).
+ */
+router.put('/:id/units/:unitId', verifyTokenOrApiKey('assets:write'), auditLog('asset.unit_update', { targetType: 'asset', targetParam: 'id' }), verifyHR, async (req, res) => {
+  try {
+    const db = getDB();
+    const { id, unitId } = req.params;
+    if (!ObjectId.isValid(id) || !ObjectId.isValid(unitId)) return res.status(400).json({ message: 'Invalid asset or unit id' });
+
+    const asset = await db.collection('assets').findOne({ _id: new ObjectId(id) });
+    if (!asset) return res.status(404).json({ message: 'Asset not found' });
+    if (asset.hrEmail !== req.user.email) return res.status(403).json({ message: 'Not authorized for this asset' });
+
+    const unit = await db.collection('assetUnits').findOne({ _id: new ObjectId(unitId), assetId: asset._id });
+    if (!unit) return res.status(404).json({ message: 'Unit not found' });
+
+    const { unit: updates, error } = normalizeUnitInput(req.body, { partial: true });
+    if (error) return res.status(400).json({ message: error });
+    if (Object.keys(updates).length === 0) return res.status(400).json({ message: 'No valid fields provided for update' });
+    if (updates.status && unit.status === 'assigned') {
+      return res.status(400).json({ message: 'Assigned units must be returned before changing status' });
+    }
+
+    updates.updatedAt = new Date();
+    const updated = await db.collection('assetUnits').findOneAndUpdate(
+      { _id: unit._id },
+      { $set: updates },
+      { returnDocument: 'after' }
+    );
+    const counts = await syncUnitCounts(db, asset._id);
+    await evaluateStockAlert(db, asset._id);
+
+    await recordAssetEvent(db, {
+      assetId: asset._id,
+      type: 'unit_updated',
+      actor: req.user.email,
+      hrEmail: asset.hrEmail,
+      companyName: asset.companyName,
+      details: { unitId: unit._id, unitChanges: diffFields(unit, updates, ['serialNumber', 'assetTag', 'purchaseDate', 'status']) },
+      changes: diffFields(asset, counts, ['productQuantity', 'availableQuantity']),
+    });
+
+    return res.json({ message: 'Unit updated', unit: updated, ...counts });
+  } catch (err) {
+    console.error('Update asset unit error:', err);
+    if (err.code === 11000) return res.status(409).json({ message: 'Duplicate serialNumber or assetTag' });
+    return res.status(500).json({ message: 'Failed to update unit', error: err.message });
+  }
+});
+
+
+/**
+ * DELETE /assets/:id/units/:unitId
+ * HR only - remove a unit that is not assigned (use status 'retired' to keep its history)
+ */
+router.delete('/:id/units/:unitId', verifyTokenOrApiKey('assets:write'), auditLog('asset.unit_delete', { targetType: 'asset', targetParam: 'id' }), verifyHR, async (req, res) => {
+  try {
+    const db = getDB();
+    const { id, unitId } = req.params;
+    if (!ObjectId.isValid(id) || !ObjectId.isValid(unitId)) return res.status(400).json({ message: 'Invalid asset or unit id' });
+
+    const asset = await db.collection('assets').findOne({ _id: new ObjectId(id) });
+    if (!asset) return res.status(404).json({ message: 'Asset not found' });
+    if (asset.hrEmail !== req.user.email) return res.status(403).json({ message: 'Not authorized for this asset' });
+
+    const unit = await db.collection('assetUnits').findOne({ _id: new ObjectId(unitId), assetId: asset._id });
+    if (!unit) return res.status(404).json({ message: 'Unit not found' });
+    if (unit.status === 'assigned') return res.status(400).json({ message: 'Cannot delete an assigned unit' });
+
+    await db.collection('assetUnits').deleteOne({ _id: unit._id });
+    const counts = await syncUnitCounts(db, asset._id);
+    await evaluateStockAlert(db, asset._id);
+
+    await recordAssetEvent(db, {
+      assetId: asset._id,
+      type: 'unit_removed',
+      actor: req.user.email,
+      hrEmail: asset.hrEmail,
+      companyName: asset.companyName,
+      details: { unitId: unit._id, serialNumber: unit.serialNumber || null, assetTag: unit.assetTag || null },
+      changes: diffFields(asset, counts, ['productQuantity', 'availableQuantity']),
+    });
+
+    return res.json({ message: 'Unit deleted', ...counts });
+  } catch (err) {
+    console.error('Delete asset unit error:', err);
+    return res.status(500).json({ message: 'Failed to delete unit', error: err.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -3,7 +3,35 @@ const { ObjectId } = require('mongodb');
 const router = express.Router();
 const { getDB, getClient } = require('../config/db');
 const verifyToken = require('../middlewares/verifyToken');
+const verifyTokenOrApiKey = require('../middlewares/verifyTokenOrApiKey');
 const verifyHR = require('../middlewares/verifyHR');
+const auditLog = require('../middlewares/auditLog');
+const { RETURN_CONDITIONS, ACTIVE_ASSIGNMENT_STATUSES, completeReturn, publishReturned } = require('../utils/assetReturns');
+const { publish } = require('../utils/eventBus');
+const { assignAsset } = require('../utils/assignment');
+const { recordAssetEvent } = require('../utils/assetHistory');
+const { notify, publishNotifications } = require('../utils/notifications');
+const { exportFormat, streamExport, exportFailed } = require('../utils/exports');
+
+const ASSIGNMENT_STATUSES = [...ACTIVE_ASSIGNMENT_STATUSES, 'returned'];
+
+// HR list filters shared by GET /assigned-assets and GET /assigned-assets/export:
+// status (assigned|return-requested|returned), q (employee name/email or asset name)
+function buildAssignmentFilter(hr, query) {
+  const status = query.status ? String(query.status) : null;
+  const q = query.q ? String(query.q).trim() : null;
+
+  const filter = { hrEmail: hr.email };
+  if (status && ASSIGNMENT_STATUSES.includes(status)) filter.status = status;
+  if (q) {
+    filter.$or = [
+      { employeeName: { $regex: q, $options: 'i' } },
+      { employeeEmail: { $regex: q, $options: 'i' } },
+      { assetName: { $regex: q, $options: 'i' } }
+    ];
+  }
+  return filter;
+}
 
 /**
  * GET /assigned-assets/my
@@ -48,7 +76,7 @@ router.get('/my', verifyToken, async (req, res) => {
  * HR-only: list employees affiliated with this HR's company
  * Query: page, limit, q (search by name/email)
  */
-router.get('/company', verifyToken, verifyHR, async (req, res) => {
+router.get('/company', verifyTokenOrApiKey('employees:read'), verifyHR, async (req, res) => {
   try {
     const db = getDB();
     const hr = req.user;
@@ -135,8 +163,312 @@ router.get('/company', verifyToken, verifyHR, async (req, res) => {
 });
 
 
+/**
+ * POST /assigned-assets
+ * HR-only: assign an asset directly to an employee, without an employee request.
+ * Body: { assetId, employeeEmail, employeeName?, unitId? }
+ * - employeeEmail may be an affiliated employee or a new one (affiliation is created, packageLimit enforced)
+ * - employeeName is required when the email has no employee account yet
+ * - unitId picks a specific unit of a unit-tracked asset (default: oldest available unit)
+ * Transactional: same stock / affiliation logic as PUT /requests/:id/approve
+ */
+router.post('/', verifyTokenOrApiKey('employees:write'), auditLog('asset.assign', { targetType: 'assignedAsset' }), verifyHR, async (req, res) => {
+  const db = getDB();
+  const client = getClient();
+  const hr = req.user;
+
+  const { assetId } = req.body;
+  const employeeEmail = String(req.body.employeeEmail || '').toLowerCase().trim();
+
+  if (!assetId || !ObjectId.isValid(assetId)) return res.status(400).json({ message: 'Valid assetId is required' });
+  if (!employeeEmail) return res.status(400).json({ message: 'employeeEmail is required' });
+
+  const session = client.startSession();
+  try {
+    let resultDoc = null;
+    let stockNotifications = [];
+    await session.withTransaction(async () => {
+      // resolve the employee name: existing affiliation, then user account, then body
+      const affiliation = await db.collection('employeeAffiliations').findOne(
+        { employeeEmail, hrEmail: hr.email },
+        { session }
+      );
+      const employeeUser = await db.collection('users').findOne({ email: employeeEmail }, { session });
+      if (employeeUser && employeeUser.role !== 'employee') throw new Error('Assets can only be assigned to employees');
+
+      const employeeName = (affiliation && affiliation.employeeName)
+        || (employeeUser && employeeUser.name)
+        || req.body.employeeName;
+      if (!employeeName) throw new Error('employeeName is required for employees without an account');
+
+      const { assignedId, affiliationCreated, notifications } = await assignAsset(db, {
+        assetId,
+        employeeEmail,
+        employeeName,
+        hr,
+        unitId: req.body.unitId,
+        session
+      });
+
+      resultDoc = { message: 'Asset assigned', assignedId, affiliationCreated };
+      stockNotifications = notifications;
+    }, {
+      readPreference: 'primary',
+      readConcern: { level: 'local' },
+      writeConcern: { w: 'majority' }
+    });
+
+    await session.endSession();
+    res.locals.audit = { targetId: String(resultDoc.assignedId), details: { assetId, employeeEmail } };
+    publishNotifications(stockNotifications);
+    publish('asset.assigned', {
+      hrEmail: hr.email,
+      recipients: [employeeEmail, hr.email],
+      data: { assignedId: resultDoc.assignedId, assetId, employeeEmail, requestId: null },
+    });
+    return res.status(201).json(resultDoc);
+  } catch (err) {
+    try { await session.abortTransaction(); } catch(e){/*ignore*/ }
+    session.endSession();
+    console.error('Direct assign error:', err);
+    return res.status(400).json({ message: err.message || 'Failed to assign asset' });
+  }
+});
+
+
+/**
+ * GET /assigned-assets
+ * HR-only: this HR's assignments (current and past), newest first
+ * Query: page, limit + filters (see buildAssignmentFilter)
+ */
+router.get('/', verifyTokenOrApiKey('employees:read'), verifyHR, async (req, res) => {
+  try {
+    const db = getDB();
+    const page = Math.max(1, parseInt(req.query.page || '1', 10));
+    const limit = Math.max(1, parseInt(req.query.limit || '10', 10));
+    const skip = (page - 1) * limit;
+
+    const filter = buildAssignmentFilter(req.user, req.query);
+    const total = await db.collection('assignedAssets').countDocuments(filter);
+    const items = await db.collection('assignedAssets')
+      .find(filter)
+      .sort({ assignmentDate: -1 })
+      .skip(skip)
+      .limit(limit)
+      .toArray();
+
+    return res.json({
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      items,
+    });
+  } catch (err) {
+    console.error('Get assigned assets error:', err);
+    return res.status(500).json({ message: 'Failed to fetch assigned assets', error: err.message });
+  }
+});
+
+/**
+ * GET /assigned-assets/export
+ * HR-only: stream this HR's assignments (current and past) as CSV or NDJSON
+ * Query: format (csv|ndjson, default csv) + the filters of GET /assigned-assets (see buildAssignmentFilter)
+ */
+router.get('/export', verifyTokenOrApiKey('employees:read'), auditLog('asset.assignment_export'), verifyHR, async (req, res) => {
+  const { format, error } = exportFormat(req.query);
+  if (error) return res.status(400).json({ message: error });
+  try {
+    const db = getDB();
+    const cursor = db.collection('assignedAssets')
+      .find(buildAssignmentFilter(req.user, req.query))
+      .sort({ assignmentDate: -1 });
+    return await streamExport(res, cursor, {
+      name: 'assigned-assets',
+      format,
+      columns: [
+        '_id', 'assetId', 'assetName', 'assetType', 'employeeName', 'employeeEmail', 'companyName', 'status',
+        'assignmentDate', 'returnDate', 'returnCondition', 'serialNumber', 'assetTag', 'requestId', 'assignedBy',
+      ],
+    });
+  } catch (err) {
+    console.error('Export assigned assets error:', err);
+    return exportFailed(res, err, 'Failed to export assigned assets');
+  }
+});
+
+/**
+ * GET /assigned-assets/returns
+ * HR-only: list assignments with a pending return request (status 'return-requested') for this HR
+ * Query: page, limit
+ */
+router.get('/returns', verifyTokenOrApiKey('employees:read'), verifyHR, async (req, res) => {
+  try {
+    const db = getDB();
+    const hr = req.user;
+
+    const page = Math.max(1, parseInt(req.query.page || '1', 10));
+    const limit = Math.max(1, parseInt(req.query.limit || '10', 10));
+    const skip = (page - 1) * limit;
+
+    const filter = { hrEmail: hr.email, status: 'return-requested' };
+    const total = await db.collection('assignedAssets').countDocuments(filter);
+    const items = await db.collection('assignedAssets')
+      .find(filter)
+      .sort({ 'returnRequest.requestedAt': -1 })
+      .skip(skip)
+      .limit(limit)
+      .toArray();
+
+    return res.json({
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      items,
+    });
+  } catch (err) {
+    console.error('Get pending returns error:', err);
+    return res.status(500).json({ message: 'Failed to fetch pending returns', error: err.message });
+  }
+});
+
+
+/**
+ * POST /assigned-assets/:id/return
+ * Employee-only: request to return one assigned item.
+ * Body: { condition: 'good'|'damaged'|'lost', notes? }
+ * - only the employee holding the item can request its return
+ * - Non-returnable assets are rejected
+ * - sets status = 'return-requested'; stock is restored when HR confirms
+ */
+router.post('/:id/return', verifyToken, async (req, res) => {
+  try {
+    const db = getDB();
+    const user = req.user;
+    const id = req.params.id;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ message: 'Invalid assigned asset id' });
+
+    const { condition, notes } = req.body;
+    if (!RETURN_CONDITIONS.includes(condition)) {
+      return res.status(400).json({ message: `condition must be one of: ${RETURN_CONDITIONS.join(', ')}` });
+    }
+
+    const assigned = await db.collection('assignedAssets').findOne({ _id: new ObjectId(id) });
+    if (!assigned) return res.status(404).json({ message: 'Assigned asset not found' });
+    if (assigned.employeeEmail !== user.email) return res.status(403).json({ message: 'Not authorized' });
+    if (assigned.assetType === 'Non-returnable') {
+      return res.status(400).json({ message: 'Non-returnable assets cannot be returned' });
+    }
+    if (assigned.status !== 'assigned') {
+      return res.status(400).json({ message: 'Only assigned items can be returned' });
+    }
+
+    const returnRequest = {
+      condition,
+      notes: notes || null,
+      requestedAt: new Date(),
+    };
+
+    const result = await db.collection('assignedAssets').findOneAndUpdate(
+      { _id: assigned._id, status: 'assigned' },
+      { $set: { status: 'return-requested', returnRequest } },
+      { returnDocument: 'after' }
+    );
+
+    if (!result) return res.status(409).json({ message: 'Assigned asset was modified concurrently' });
+
+    await recordAssetEvent(db, {
+      assetId: assigned.assetId,
+      type: 'return_requested',
+      actor: user.email,
+      hrEmail: assigned.hrEmail,
+      companyName: assigned.companyName || null,
+      details: { assignedId: assigned._id, condition, notes: returnRequest.notes },
+    });
+
+    publish('asset.return_requested', {
+      hrEmail: assigned.hrEmail,
+      recipients: [assigned.hrEmail, assigned.employeeEmail],
+      data: { assignedId: assigned._id, assetId: assigned.assetId, assetName: assigned.assetName, employeeEmail: assigned.employeeEmail, condition },
+    });
+
+    return res.json({ message: 'Return requested', assignedAsset: result });
+  } catch (err) {
+    console.error('Request return error:', err);
+    return res.status(500).json({ message: 'Failed to request return', error: err.message });
+  }
+});
+
+
+/**
+ * PUT /assigned-assets/:id/confirm-return
+ * HR-only: confirm the return of one assigned item (with or without a prior employee request).
+ * Body: { condition?, notes? } - defaults to the condition/notes the employee reported
+ * Transactional:
+ *  - mark assignedAssets.status = 'returned' with returnDate, returnCondition, returnNotes
+ *  - increment assets.availableQuantity only when the item came back 'good'
+ *  - move the matching approved request to 'returned'
+ */
+router.put('/:id/confirm-return', verifyTokenOrApiKey('employees:write'), auditLog('asset.return_confirm', { targetType: 'assignedAsset', targetParam: 'id' }), verifyHR, async (req, res) => {
+  const db = getDB();
+  const client = getClient();
+  const hr = req.user;
+  const id = req.params.id;
+
+  if (!ObjectId.isValid(id)) return res.status(400).json({ message: 'Invalid assigned asset id' });
+
+  const session = client.startSession();
+  try {
+    let resultDoc = null;
+    let returned = null;
+    let stockNotifications = [];
+    await session.withTransaction(async () => {
+      const assigned = await db.collection('assignedAssets').findOne({ _id: new ObjectId(id) }, { session });
+      if (!assigned) throw new Error('Assigned asset not found');
+      if (assigned.hrEmail !== hr.email) throw new Error('Not authorized for this assigned asset');
+      if (assigned.assetType === 'Non-returnable') throw new Error('Non-returnable assets cannot be returned');
+      if (!ACTIVE_ASSIGNMENT_STATUSES.includes(assigned.status)) throw new Error('Assigned asset already returned');
+
+      const body = req.body || {};
+      const reported = assigned.returnRequest || {};
+      const condition = body.condition || reported.condition;
+      if (!RETURN_CONDITIONS.includes(condition)) {
+        throw new Error(`condition must be one of: ${RETURN_CONDITIONS.join(', ')}`);
+      }
+      const notes = body.notes !== undefined ? body.notes : (reported.notes || null);
+
+      const { restocked, notifications } = await completeReturn(db, assigned, {
+        condition,
+        notes,
+        processedBy: hr.email,
+        session
+      });
+
+      resultDoc = { message: 'Return confirmed', condition, restocked };
+      returned = assigned;
+      stockNotifications = notifications;
+    }, {
+      readPreference: 'primary',
+      readConcern: { level: 'local' },
+      writeConcern: { w: 'majority' }
+    });
+
+    await session.endSession();
+    publishNotifications(stockNotifications);
+    publishReturned(returned, { condition: resultDoc.condition, restocked: resultDoc.restocked, processedBy: hr.email });
+    return res.json(resultDoc);
+  } catch (err) {
+    try { await session.abortTransaction(); } catch(e){/*ignore*/ }
+    session.endSession();
+    console.error('Confirm return error:', err);
+    return res.status(400).json({ message: err.message || 'Failed to confirm return' });
+  }
+});
+
+
  
-router.delete('/:employeeEmail', verifyToken, verifyHR, async (req, res) => {
+router.delete('/:employeeEmail', verifyTokenOrApiKey('employees:write'), auditLog('employee.remove', { targetType: 'employee', targetParam: 'employeeEmail' }), verifyHR, async (req, res) => {
   const db = getDB();
   const client = getClient();
   const hr = req.user;
@@ -147,12 +479,13 @@ router.delete('/:employeeEmail', verifyToken, verifyHR, async (req, res) => {
   const session = client.startSession();
   try {
     let resultSummary = null;
+    let returnedItems = [];
+    let stockNotifications = [];
 
     await session.withTransaction(async () => {
+      stockNotifications = [];
       const affColl = db.collection('employeeAffiliations');
       const assignedColl = db.collection('assignedAssets');
-      const assetsColl = db.collection('assets');
-      const requestsColl = db.collection('requests');
       const usersColl = db.collection('users');
 
       // 1) Find affiliation
@@ -162,43 +495,27 @@ router.delete('/:employeeEmail', verifyToken, verifyHR, async (req, res) => {
       );
       if (!affiliation) throw new Error('Affiliation not found for this employee under your company');
 
-      // 2) Find assigned assets for this employee under this HR with status 'assigned'
+      // 2) Find assigned assets for this employee under this HR that are still held (incl. pending returns)
       const assignedCursor = assignedColl.find(
-        { employeeEmail: employeeEmail, hrEmail: hr.email, status: 'assigned' },
+        { employeeEmail: employeeEmail, hrEmail: hr.email, status: { $in: ACTIVE_ASSIGNMENT_STATUSES } },
         { session }
       );
 
       const assignedList = await assignedCursor.toArray();
 
-      // 3) For each assigned asset: mark returned and increment asset.availableQuantity
-      const now = new Date();
+      // 3) For each assigned asset: mark returned in the condition the employee reported (good when there was
+      //    no return request), restock usable items and close the request
+      returnedItems = [];
       for (const assigned of assignedList) {
-        // update assignedAssets status
-        await assignedColl.updateOne(
-          { _id: assigned._id },
-          { $set: { status: 'returned', returnDate: now } },
-          { session }
-        );
-
-        // increment asset availableQuantity if asset exists
-        if (assigned.assetId) {
-          await assetsColl.updateOne(
-            { _id: new ObjectId(assigned.assetId) },
-            { $inc: { availableQuantity: 1 } },
-            { session }
-          );
-
-          // mark related request as returned if there is one that was approved
-          await requestsColl.updateOne(
-            {
-              assetId: new ObjectId(assigned.assetId),
-              requesterEmail: employeeEmail,
-              requestStatus: 'approved'
-            },
-            { $set: { requestStatus: 'returned' } },
-            { session }
-          );
-        }
+        const condition = (assigned.returnRequest && assigned.returnRequest.condition) || 'good';
+        const { restocked, notifications } = await completeReturn(db, assigned, {
+          condition,
+          notes: 'Returned on employee removal',
+          processedBy: hr.email,
+          session
+        });
+        stockNotifications.push(...notifications);
+        returnedItems.push({ assigned, condition, restocked });
       }
 
       // 4) Delete affiliation
@@ -223,6 +540,25 @@ router.delete('/:employeeEmail', verifyToken, verifyHR, async (req, res) => {
     });
 
     await session.endSession();
+
+    publishNotifications(stockNotifications);
+    await notify(db, {
+      recipientEmail: employeeEmail,
+      type: 'employee.removed',
+      title: 'Removed from company',
+      message: `You were removed from ${resultSummary.removedAffiliation.companyName || 'the company'}; ${resultSummary.returnedCount} assigned item(s) were returned`,
+      data: { hrEmail: hr.email, companyName: resultSummary.removedAffiliation.companyName || null },
+    });
+
+    for (const { assigned, condition, restocked } of returnedItems) {
+      publishReturned(assigned, { condition, restocked, processedBy: hr.email });
+    }
+    publish('employee.removed', {
+      hrEmail: hr.email,
+      recipients: [employeeEmail, hr.email],
+      data: { employeeEmail, companyName: resultSummary.removedAffiliation.companyName || null, returnedCount: resultSummary.returnedCount },
+    });
+
     return res.json(resultSummary);
   } catch (err) {
     try { await session.abortTransaction(); } catch(e){/*ignore*/ }
@@ -0,0 +1,117 @@
+// src/routes/auditLogs.route.js
+const express = require('express');
+const router = express.Router();
+const { getDB } = require('../config/db');
+const verifyToken = require('../middlewares/verifyToken');
+const verifyHR = require('../middlewares/verifyHR');
+const auditLog = require('../middlewares/auditLog');
+const { toCsvRow } = require('../utils/csv');
+const { exportFailed } = require('../utils/exports');
+
+const OUTCOMES = ['success', 'denied', 'failure'];
+
+/**
+ * Build the auditLogs filter for the HR's company from query params:
+ *   action, actor (email), outcome (success|denied|failure), targetType, targetId, from, to (ISO dates)
+ * Scoped by hrEmail (the tenant key): companyName is free text that another HR can register with too.
+ */
+function buildFilter(hr, query) {
+  const filter = { hrEmail: hr.email };
+
+  if (query.action) filter.action = String(query.action);
+  if (query.actor) filter['actor.email'] = String(query.actor).toLowerCase().trim();
+  if (query.outcome && OUTCOMES.includes(String(query.outcome))) filter.outcome = String(query.outcome);
+  if (query.targetType) filter['target.type'] = String(query.targetType);
+  if (query.targetId) filter['target.id'] = String(query.targetId);
+
+  const from = query.from ? new Date(String(query.from)) : null;
+  const to = query.to ? new Date(String(query.to)) : null;
+  if ((from && !Number.isNaN(from.getTime())) || (to && !Number.isNaN(to.getTime()))) {
+    filter.at = {};
+    if (from && !Number.isNaN(from.getTime())) filter.at.$gte = from;
+    if (to && !Number.isNaN(to.getTime())) filter.at.$lte = to;
+  }
+
+  return filter;
+}
+
+/**
+ * GET /audit-logs
+ * HR-only: audit log of privileged actions in this HR's company, newest first
+ * Query: page, limit + filters (see buildFilter)
+ */
+router.get('/', verifyToken, verifyHR, async (req, res) => {
+  try {
+    const db = getDB();
+    const page = Math.max(1, parseInt(req.query.page || '1', 10));
+    const limit = Math.max(1, parseInt(req.query.limit || '20', 10));
+    const skip = (page - 1) * limit;
+
+    const filter = buildFilter(req.user, req.query);
+    const total = await db.collection('auditLogs').countDocuments(filter);
+    const items = await db.collection('auditLogs')
+      .find(filter)
+      .sort({ at: -1 })
+      .skip(skip)
+      .limit(limit)
+      .toArray();
+
+    return res.json({
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      items,
+    });
+  } catch (err) {
+    console.error('Get audit logs error:', err);
+    return res.status(500).json({ message: 'Failed to fetch audit logs', error: err.message });
+  }
+});
+
+/**
+ * GET /audit-logs/export
+ * HR-only: download the (filtered) audit log. Query: format=csv|json (default csv) + same filters as GET /
+ * Rows are streamed from the cursor so large logs don't have to fit in memory.
+ */
+router.get('/export', verifyToken, auditLog('audit.export'), verifyHR, async (req, res) => {
+  const format = req.query.format === 'json' ? 'json' : 'csv';
+  try {
+    const db = getDB();
+    const cursor = db.collection('auditLogs')
+      .find(buildFilter(req.user, req.query))
+      .sort({ at: -1 });
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Disposition', `attachment; filename="audit-log-${stamp}.${format}"`);
+
+    if (format === 'json') {
+      res.type('application/json');
+      res.write('[');
+      let first = true;
+      for await (const entry of cursor) {
+        res.write((first ? '' : ',') + JSON.stringify(entry));
+        first = false;
+      }
+      res.write(']');
+      return res.end();
+    }
+
+    res.type('text/csv');
+    res.write(toCsvRow(['at', 'action', 'actorEmail', 'actorRole', 'ip', 'method', 'path', 'targetType', 'targetId', 'outcome', 'statusCode', 'details']));
+    for await (const entry of cursor) {
+      const actor = entry.actor || {};
+      const target = entry.target || {};
+      res.write(toCsvRow([
+        entry.at, entry.action, actor.email, actor.role, entry.ip, entry.method, entry.path,
+        target.type, target.id, entry.outcome, entry.statusCode, entry.details,
+      ]));
+    }
+    return res.end();
+  } catch (err) {
+    console.error('Export audit logs error:', err);
+    return exportFailed(res, err, 'Failed to export audit logs');
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,25 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const { getDB } = require('../config/db');
+const verifyToken = require('../middlewares/verifyToken');
+const auditLog = require('../middlewares/auditLog');
+const { hashToken, createSession, rotateSession, revokeSession, revokeAllSessions } = require('../utils/sessions');
+const { sendMail } = require('../utils/mailer');
+const { signMfaToken } = require('../utils/mfa');
+const { loginLimiter, accountKey, ipKey, sendLockedResponse } = require('../utils/loginLimiter');
+const { issueVerification, resendRetryAfter } = require('../utils/emailVerification');
+const { BASE_PLAN } = require('../utils/subscriptions');
 
 const SALT_ROUNDS = 10;
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '1d';
+const MIN_PASSWORD_LENGTH = 6;
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:5173';
 
 // Helper to sanitize user object before sending back
 function sanitizeUser(user) {
-  const { password, ...rest } = user;
+  const { password, mfa, ...rest } = user;
   return rest;
 }
 
@@ -27,7 +37,8 @@ function sanitizeUser(user) {
  *   name, email, password, dateOfBirth, role: "employee"
  * }
  *
- * Returns: created user (sanitized) and a JWT token
+ * Returns: created user (sanitized, emailVerified: false), a short-lived JWT token and a refresh token
+ * A verification link is mailed to the user (see /auth/verify-email).
  */
 router.post('/register', async (req, res) => {
   try {
@@ -74,6 +85,8 @@ router.post('/register', async (req, res) => {
       dateOfBirth: new Date(dateOfBirth),
       role,
       profileImage: req.body.profileImage || null,
+      emailVerified: false,
+      emailVerifiedAt: null,
       createdAt: now,
       updatedAt: now,
     };
@@ -81,26 +94,30 @@ router.post('/register', async (req, res) => {
     if (role === 'hr') {
       userDoc.companyName = companyName;
       userDoc.companyLogo = companyLogo;
-      userDoc.packageLimit = Number(req.body.packageLimit) || 5; // default 5
+      // every company starts on the free base plan; paid packages come from a subscription checkout
+      userDoc.packageLimit = BASE_PLAN.employeeLimit;
       userDoc.currentEmployees = 0;
-      userDoc.subscription = req.body.subscription || 'basic';
+      userDoc.subscription = BASE_PLAN.name;
     }
 
     const result = await db.collection('users').insertOne(userDoc);
     const createdUser = result.ops ? result.ops[0] : { ...userDoc, _id: result.insertedId }; // ops compatibility
 
-    // create jwt token
-    const tokenPayload = {
-      id: createdUser._id,
-      email: createdUser.email,
-      role: createdUser.role,
-    };
-    const token = jwt.sign(tokenPayload, process.env.JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+    // send verification link; the account works but HR actions / requests stay blocked until confirmed
+    try {
+      await issueVerification(db, createdUser);
+    } catch (mailErr) {
+      console.error('Verification email error:', mailErr);
+    }
+
+    // create session: short-lived jwt + refresh token
+    const { token, refreshToken } = await createSession(db, createdUser, req);
 
     return res.status(201).json({
       message: 'Registration successful',
       user: sanitizeUser(createdUser),
       token,
+      refreshToken,
     });
   } catch (err) {
     console.error('Register error:', err);
@@ -115,9 +132,11 @@ router.post('/register', async (req, res) => {
 /**
  * POST /auth/login
  * body: { email, password }
- * returns: token + user (sanitized)
+ * returns: token + refreshToken + user (sanitized)
+ * HR accounts with 2FA get { mfaRequired: true, mfaToken } instead (see POST /mfa/verify)
+ * Repeated failures lock the account / IP with exponential backoff: 429 { lockedUntil, retryAfter }
  */
-router.post('/login', async (req, res) => {
+router.post('/login', auditLog('auth.login'), async (req, res) => {
   try {
     const db = getDB();
     const { email, password } = req.body;
@@ -126,28 +145,51 @@ router.post('/login', async (req, res) => {
     }
 
     const normalizedEmail = String(email).toLowerCase().trim();
-    const user = await db.collection('users').findOne({ email: normalizedEmail });
+    res.locals.audit = { actor: { email: normalizedEmail, role: null } };
 
-    if (!user) {
-      return res.status(401).json({ message: 'Invalid credentials' });
+    // failed attempts are tracked per account and per IP
+    const limiterKeys = [accountKey(normalizedEmail), ipKey(req.ip)];
+    const lock = await loginLimiter.check(limiterKeys);
+    if (lock.locked) {
+      return sendLockedResponse(res, lock);
+    }
+
+    const user = await db.collection('users').findOne({ email: normalizedEmail });
+    if (user) {
+      res.locals.audit = {
+        actor: { email: user.email, role: user.role },
+        companyName: user.companyName || null,
+        hrEmail: user.role === 'hr' ? user.email : null,
+      };
     }
+    const match = user ? await bcrypt.compare(password, user.password) : false;
 
-    const match = await bcrypt.compare(password, user.password);
     if (!match) {
+      const afterFailure = await loginLimiter.recordFailure(limiterKeys);
+      if (afterFailure.locked) {
+        return sendLockedResponse(res, afterFailure);
+      }
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    const tokenPayload = {
-      id: user._id,
-      email: user.email,
-      role: user.role,
-    };
-    const token = jwt.sign(tokenPayload, process.env.JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+    await loginLimiter.reset(accountKey(normalizedEmail));
+
+    // HR with 2FA: password alone is not enough, exchange mfaToken via POST /mfa/verify
+    if (user.role === 'hr' && user.mfa && user.mfa.enabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        mfaRequired: true,
+        mfaToken: signMfaToken(user),
+      });
+    }
+
+    const { token, refreshToken } = await createSession(db, user, req);
 
     return res.json({
       message: 'Login successful',
       user: sanitizeUser(user),
       token,
+      refreshToken,
     });
   } catch (err) {
     console.error('Login error:', err);
@@ -155,4 +197,276 @@ router.post('/login', async (req, res) => {
   }
 });
 
+/**
+ * POST /auth/refresh
+ * body: { refreshToken }
+ * returns: new token + new refreshToken (the old refresh token stops working)
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const db = getDB();
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'refreshToken required' });
+    }
+
+    let rotated;
+    try {
+      rotated = await rotateSession(db, refreshToken);
+    } catch (err) {
+      return res.status(401).json({ message: err.message });
+    }
+
+    return res.json({
+      message: 'Token refreshed',
+      token: rotated.token,
+      refreshToken: rotated.refreshToken,
+    });
+  } catch (err) {
+    console.error('Refresh error:', err);
+    return res.status(500).json({ message: 'Token refresh failed', error: err.message });
+  }
+});
+
+/**
+ * POST /auth/logout
+ * Revokes the session the current access token belongs to.
+ */
+router.post('/logout', verifyToken, auditLog('auth.logout'), async (req, res) => {
+  try {
+    const db = getDB();
+    await revokeSession(db, req.user.sessionId);
+    return res.json({ message: 'Logged out' });
+  } catch (err) {
+    console.error('Logout error:', err);
+    return res.status(500).json({ message: 'Logout failed', error: err.message });
+  }
+});
+
+/**
+ * POST /auth/logout-all
+ * Revokes every session of the current user ("log out all devices").
+ */
+router.post('/logout-all', verifyToken, auditLog('auth.logout_all'), async (req, res) => {
+  try {
+    const db = getDB();
+    const result = await revokeAllSessions(db, req.user._id);
+    return res.json({ message: 'Logged out from all devices', revokedSessions: result.modifiedCount });
+  } catch (err) {
+    console.error('Logout all error:', err);
+    return res.status(500).json({ message: 'Logout failed', error: err.message });
+  }
+});
+
+/**
+ * POST /auth/change-password
+ * body: { currentPassword, newPassword }
+ * Requires the current password. Other sessions are logged out; the current one stays valid.
+ */
+router.post('/change-password', verifyToken, auditLog('auth.password_change'), async (req, res) => {
+  try {
+    const db = getDB();
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ message: 'currentPassword and newPassword required' });
+    }
+    if (String(newPassword).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const user = await db.collection('users').findOne({ _id: req.user._id });
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const match = await bcrypt.compare(currentPassword, user.password);
+    if (!match) {
+      return res.status(401).json({ message: 'Current password is incorrect' });
+    }
+
+    const hashed = await bcrypt.hash(newPassword, SALT_ROUNDS);
+    await db.collection('users').updateOne(
+      { _id: user._id },
+      { $set: { password: hashed, passwordChangedAt: new Date(), updatedAt: new Date() } }
+    );
+
+    await db.collection('sessions').updateMany(
+      { userId: user._id, _id: { $ne: req.user.sessionId }, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    return res.json({ message: 'Password changed' });
+  } catch (err) {
+    console.error('Change password error:', err);
+    return res.status(500).json({ message: 'Failed to change password', error: err.message });
+  }
+});
+
+/**
+ * POST /auth/forgot-password
+ * body: { email }
+ * Always answers 200 so the endpoint can't be used to discover registered emails.
+ * If the user exists, a single-use reset token (stored hashed) is mailed to them.
+ */
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const db = getDB();
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ message: 'Email required' });
+    }
+
+    const normalizedEmail = String(email).toLowerCase().trim();
+    const user = await db.collection('users').findOne({ email: normalizedEmail });
+
+    if (user) {
+      const resetsColl = db.collection('passwordResets');
+      const now = new Date();
+
+      // only the latest link should work
+      await resetsColl.updateMany(
+        { userId: user._id, usedAt: null },
+        { $set: { usedAt: now } }
+      );
+
+      const token = crypto.randomBytes(32).toString('hex');
+      await resetsColl.insertOne({
+        userId: user._id,
+        email: user.email,
+        tokenHash: hashToken(token),
+        createdAt: now,
+        expiresAt: new Date(now.getTime() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000),
+        usedAt: null,
+      });
+
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your AssetVerse password',
+        text: `Hi ${user.name || ''},\n\nUse the link below to reset your password. It expires in ${PASSWORD_RESET_TTL_MINUTES} minutes.\n\n${CLIENT_URL}/reset-password?token=${token}\n\nIf you did not request this, you can ignore this email.`,
+      });
+    }
+
+    return res.json({ message: 'If that email is registered, a reset link has been sent' });
+  } catch (err) {
+    console.error('Forgot password error:', err);
+    return res.status(500).json({ message: 'Failed to start password reset', error: err.message });
+  }
+});
+
+/**
+ * POST /auth/reset-password
+ * body: { token, newPassword }
+ * Consumes the reset token, sets the new password and logs out every session.
+ */
+router.post('/reset-password', auditLog('auth.password_reset'), async (req, res) => {
+  try {
+    const db = getDB();
+    const { token, newPassword } = req.body;
+    if (!token || !newPassword) {
+      return res.status(400).json({ message: 'token and newPassword required' });
+    }
+    if (String(newPassword).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const now = new Date();
+    // mark used atomically so the same token can't be redeemed twice
+    const reset = await db.collection('passwordResets').findOneAndUpdate(
+      { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: now } },
+      { $set: { usedAt: now } }
+    );
+    if (!reset) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    const user = await db.collection('users').findOne({ _id: reset.userId });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.locals.audit = {
+      actor: { email: user.email, role: user.role },
+      companyName: user.companyName || null,
+      hrEmail: user.role === 'hr' ? user.email : null,
+    };
+
+    const hashed = await bcrypt.hash(newPassword, SALT_ROUNDS);
+    await db.collection('users').updateOne(
+      { _id: user._id },
+      { $set: { password: hashed, passwordChangedAt: now, updatedAt: now } }
+    );
+
+    await revokeAllSessions(db, reset.userId);
+
+    return res.json({ message: 'Password has been reset. Please log in again.' });
+  } catch (err) {
+    console.error('Reset password error:', err);
+    return res.status(500).json({ message: 'Failed to reset password', error: err.message });
+  }
+});
+
+/**
+ * POST /auth/verify-email
+ * body: { token }
+ * Confirms the email address the verification token was sent to.
+ */
+router.post('/verify-email', async (req, res) => {
+  try {
+    const db = getDB();
+    const { token } = req.body;
+    if (!token) {
+      return res.status(400).json({ message: 'token required' });
+    }
+
+    const now = new Date();
+    const verification = await db.collection('emailVerifications').findOneAndUpdate(
+      { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: now } },
+      { $set: { usedAt: now } }
+    );
+    if (!verification) {
+      return res.status(400).json({ message: 'Invalid or expired verification token' });
+    }
+
+    await db.collection('users').updateOne(
+      { _id: verification.userId, email: verification.email },
+      { $set: { emailVerified: true, emailVerifiedAt: now, updatedAt: now } }
+    );
+
+    return res.json({ message: 'Email verified' });
+  } catch (err) {
+    console.error('Verify email error:', err);
+    return res.status(500).json({ message: 'Email verification failed', error: err.message });
+  }
+});
+
+/**
+ * POST /auth/resend-verification
+ * body: { email }
+ * Rate-limited per address. Answers the same way whether or not the address needs verifying.
+ */
+router.post('/resend-verification', async (req, res) => {
+  try {
+    const db = getDB();
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ message: 'Email required' });
+    }
+
+    const normalizedEmail = String(email).toLowerCase().trim();
+
+    const retryAfter = await resendRetryAfter(db, normalizedEmail);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ message: 'Too many verification emails requested', retryAfter });
+    }
+
+    const user = await db.collection('users').findOne({ email: normalizedEmail });
+    if (user && user.emailVerified === false) {
+      await issueVerification(db, user);
+    }
+
+    return res.json({ message: 'If that email needs verification, a new link has been sent' });
+  } catch (err) {
+    console.error('Resend verification error:', err);
+    return res.status(500).json({ message: 'Failed to resend verification', error: err.message });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,135 @@
+// src/routes/events.route.js
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const { getDB } = require('../config/db');
+const verifyToken = require('../middlewares/verifyToken');
+const { subscribe } = require('../utils/eventBus');
+const { hashToken, findActiveSession } = require('../utils/sessions');
+
+const HEARTBEAT_MS = 25 * 1000;
+const TICKET_TTL_MS = 60 * 1000;
+
+function send(res, type, data) {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * EventSource can't send headers, and an access token in the URL ends up in proxy and access logs.
+ * Browsers get a short-lived, single-use ticket from POST /events/ticket and open ?ticket=<ticket>;
+ * other clients can keep using the Authorization header.
+ */
+async function verifyStreamAuth(req, res, next) {
+  if (req.headers.authorization || !req.query.ticket) return verifyToken(req, res, next);
+
+  try {
+    const db = getDB();
+    const ticket = await db.collection('streamTickets').findOneAndDelete({
+      _id: hashToken(req.query.ticket),
+      expiresAt: { $gt: new Date() },
+    });
+    if (!ticket) return res.status(401).json({ message: 'Invalid or expired stream ticket' });
+    if (!(await findActiveSession(db, ticket.sessionId))) {
+      return res.status(401).json({ message: 'Session revoked or expired' });
+    }
+    req.user = { _id: ticket.userId, email: ticket.email, sessionId: ticket.sessionId };
+    return next();
+  } catch (err) {
+    console.error('Stream ticket error:', err);
+    return res.status(500).json({ message: 'Internal server error in auth' });
+  }
+}
+
+/**
+ * POST /events/ticket
+ * Authenticated: single-use ticket for opening the stream (valid for 60 seconds)
+ * Returns: { ticket, expiresAt }
+ */
+router.post('/ticket', verifyToken, async (req, res) => {
+  try {
+    const db = getDB();
+    const ticket = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + TICKET_TTL_MS);
+    await db.collection('streamTickets').insertOne({
+      _id: hashToken(ticket),
+      userId: req.user._id,
+      email: req.user.email,
+      sessionId: req.user.sessionId,
+      expiresAt,
+    });
+    return res.status(201).json({ ticket, expiresAt });
+  } catch (err) {
+    console.error('Create stream ticket error:', err);
+    return res.status(500).json({ message: 'Failed to create stream ticket', error: err.message });
+  }
+});
+
+/**
+ * GET /events/stream?ticket=<ticket>   (or Authorization: Bearer <token>)
+ * Authenticated Server-Sent Events stream for the current user.
+ * Pushes every bus event the user is a recipient of (request status changes, new requests for HR,
+ * assignments, returns, ...) and a `notifications.count` event whenever a notification is created.
+ * The login session is re-checked on every heartbeat: after logout, a password change or session
+ * revocation the stream gets a `session.ended` event and is closed.
+ */
+router.get('/stream', verifyStreamAuth, async (req, res) => {
+  const email = req.user.email;
+  const sessionId = req.user.sessionId;
+  const db = getDB();
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  async function sendUnreadCount() {
+    const count = await db.collection('notifications').countDocuments({ recipientEmail: email, readAt: null });
+    send(res, 'notifications.count', { count });
+  }
+
+  let active = true;
+  const unsubscribe = subscribe((event) => {
+    if (!active || !event.recipients.includes(email)) return;
+    if (event.type === 'notification.created') {
+      sendUnreadCount().catch((err) => console.error('SSE unread count error:', err));
+      return;
+    }
+    send(res, event.type, { data: event.data, at: event.at });
+  });
+
+  function close() {
+    if (!active) return;
+    active = false;
+    clearInterval(heartbeat);
+    unsubscribe();
+  }
+
+  const heartbeat = setInterval(async () => {
+    try {
+      if (!(await findActiveSession(db, sessionId))) {
+        if (!active) return;
+        send(res, 'session.ended', {});
+        close();
+        res.end();
+        return;
+      }
+      if (active) res.write(': ping\n\n');
+    } catch (err) {
+      console.error('SSE session check error:', err);
+    }
+  }, HEARTBEAT_MS);
+
+  req.on('close', close);
+
+  send(res, 'ready', { email });
+  try {
+    await sendUnreadCount();
+  } catch (err) {
+    console.error('SSE unread count error:', err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,312 @@
+// src/routes/mfa.route.js
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcryptjs');
+const { getDB } = require('../config/db');
+const verifyToken = require('../middlewares/verifyToken');
+const verifyHR = require('../middlewares/verifyHR');
+const auditLog = require('../middlewares/auditLog');
+const { generateSecret, verifyTotp, buildOtpauthUrl } = require('../utils/totp');
+const { verifyMfaToken, generateRecoveryCodes, hashRecoveryCode } = require('../utils/mfa');
+const { createSession } = require('../utils/sessions');
+const { getCompanySettings, updateCompanySettings } = require('../utils/companySettings');
+const { loginLimiter, accountKey, ipKey, sendLockedResponse } = require('../utils/loginLimiter');
+
+function sanitizeUser(user) {
+  const { password, mfa, ...rest } = user;
+  return rest;
+}
+
+/**
+ * Check a TOTP code or a recovery code for a user with 2FA enabled.
+ * - TOTP: the same time step can't be used twice (replay protection)
+ * - recovery code: consumed on use
+ * Returns { ok, method }.
+ */
+async function checkSecondFactor(db, user, { code, recoveryCode }) {
+  const mfa = user.mfa || {};
+  if (!mfa.enabled || !mfa.secret) return { ok: false };
+
+  if (code) {
+    const step = verifyTotp(mfa.secret, code);
+    if (step === null || (mfa.lastUsedStep && step <= mfa.lastUsedStep)) return { ok: false };
+
+    const updated = await db.collection('users').updateOne(
+      { _id: user._id, 'mfa.lastUsedStep': mfa.lastUsedStep || null },
+      { $set: { 'mfa.lastUsedStep': step } }
+    );
+    return { ok: updated.matchedCount === 1, method: 'totp' };
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const updated = await db.collection('users').updateOne(
+      { _id: user._id, 'mfa.recoveryCodes': hash },
+      { $pull: { 'mfa.recoveryCodes': hash } }
+    );
+    return { ok: updated.modifiedCount === 1, method: 'recovery' };
+  }
+
+  return { ok: false };
+}
+
+// 2FA is offered to HR accounts only. Not verifyHR: HRs must be able to enrol while the policy blocks them.
+function requireHRRole(req, res, next) {
+  if (req.user.role !== 'hr') return res.status(403).json({ message: 'HR role required' });
+  next();
+}
+
+/**
+ * GET /mfa/status
+ * returns: { enabled, required, recoveryCodesRemaining }
+ */
+router.get('/status', verifyToken, requireHRRole, async (req, res) => {
+  try {
+    const db = getDB();
+    const user = await db.collection('users').findOne({ _id: req.user._id });
+    const mfa = (user && user.mfa) || {};
+    return res.json({
+      enabled: !!mfa.enabled,
+      required: !!req.user.mfaRequired,
+      recoveryCodesRemaining: mfa.enabled ? (mfa.recoveryCodes || []).length : 0,
+    });
+  } catch (err) {
+    console.error('MFA status error:', err);
+    return res.status(500).json({ message: 'Failed to fetch 2FA status', error: err.message });
+  }
+});
+
+/**
+ * POST /mfa/setup
+ * HR-only: start enrolment. Returns a new secret + otpauth:// URL for the authenticator app.
+ * 2FA is not active until confirmed through /mfa/enable.
+ */
+router.post('/setup', verifyToken, requireHRRole, async (req, res) => {
+  try {
+    const db = getDB();
+    const user = await db.collection('users').findOne({ _id: req.user._id });
+    if (user.mfa && user.mfa.enabled) {
+      return res.status(400).json({ message: '2FA is already enabled' });
+    }
+
+    const secret = generateSecret();
+    await db.collection('users').updateOne(
+      { _id: user._id },
+      { $set: { 'mfa.pendingSecret': secret, 'mfa.enabled': false } }
+    );
+
+    return res.json({
+      secret,
+      otpauthUrl: buildOtpauthUrl(secret, user.email),
+    });
+  } catch (err) {
+    console.error('MFA setup error:', err);
+    return res.status(500).json({ message: 'Failed to start 2FA setup', error: err.message });
+  }
+});
+
+/**
+ * POST /mfa/enable
+ * body: { code }
+ * Confirms enrolment with a code from the app. Returns the one-time recovery codes (shown only once).
+ */
+router.post('/enable', verifyToken, auditLog('mfa.enable'), requireHRRole, async (req, res) => {
+  try {
+    const db = getDB();
+    const { code } = req.body;
+    if (!code) return res.status(400).json({ message: 'code required' });
+
+    const user = await db.collection('users').findOne({ _id: req.user._id });
+    const mfa = user.mfa || {};
+    if (mfa.enabled) return res.status(400).json({ message: '2FA is already enabled' });
+    if (!mfa.pendingSecret) return res.status(400).json({ message: 'Start 2FA setup first' });
+
+    const step = verifyTotp(mfa.pendingSecret, code);
+    if (step === null) return res.status(400).json({ message: 'Invalid 2FA code' });
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await db.collection('users').updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          mfa: {
+            enabled: true,
+            secret: mfa.pendingSecret,
+            recoveryCodes: hashes,
+            lastUsedStep: step,
+            enabledAt: new Date(),
+          }
+        }
+      }
+    );
+
+    return res.json({ message: '2FA enabled', recoveryCodes: codes });
+  } catch (err) {
+    console.error('MFA enable error:', err);
+    return res.status(500).json({ message: 'Failed to enable 2FA', error: err.message });
+  }
+});
+
+/**
+ * POST /mfa/disable
+ * body: { password, code | recoveryCode }
+ * Not allowed while the company requires 2FA for HR.
+ */
+router.post('/disable', verifyToken, auditLog('mfa.disable'), requireHRRole, async (req, res) => {
+  try {
+    const db = getDB();
+    const { password, code, recoveryCode } = req.body;
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({ message: 'password and code (or recoveryCode) required' });
+    }
+    if (req.user.mfaRequired) {
+      return res.status(403).json({ message: 'Your company requires 2FA for HR accounts' });
+    }
+
+    const user = await db.collection('users').findOne({ _id: req.user._id });
+    if (!user.mfa || !user.mfa.enabled) return res.status(400).json({ message: '2FA is not enabled' });
+
+    const match = await bcrypt.compare(password, user.password);
+    if (!match) return res.status(401).json({ message: 'Invalid credentials' });
+
+    const factor = await checkSecondFactor(db, user, { code, recoveryCode });
+    if (!factor.ok) return res.status(401).json({ message: 'Invalid 2FA code' });
+
+    await db.collection('users').updateOne({ _id: user._id }, { $unset: { mfa: '' } });
+
+    return res.json({ message: '2FA disabled' });
+  } catch (err) {
+    console.error('MFA disable error:', err);
+    return res.status(500).json({ message: 'Failed to disable 2FA', error: err.message });
+  }
+});
+
+/**
+ * POST /mfa/recovery-codes
+ * body: { code }
+ * Replaces all recovery codes with a fresh set (old ones stop working).
+ */
+router.post('/recovery-codes', verifyToken, auditLog('mfa.recovery_codes'), requireHRRole, async (req, res) => {
+  try {
+    const db = getDB();
+    const { code } = req.body;
+    if (!code) return res.status(400).json({ message: 'code required' });
+
+    const user = await db.collection('users').findOne({ _id: req.user._id });
+    if (!user.mfa || !user.mfa.enabled) return res.status(400).json({ message: '2FA is not enabled' });
+
+    const factor = await checkSecondFactor(db, user, { code });
+    if (!factor.ok) return res.status(401).json({ message: 'Invalid 2FA code' });
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await db.collection('users').updateOne(
+      { _id: user._id },
+      { $set: { 'mfa.recoveryCodes': hashes } }
+    );
+
+    return res.json({ message: 'Recovery codes regenerated', recoveryCodes: codes });
+  } catch (err) {
+    console.error('MFA recovery codes error:', err);
+    return res.status(500).json({ message: 'Failed to regenerate recovery codes', error: err.message });
+  }
+});
+
+/**
+ * POST /mfa/verify
+ * body: { mfaToken, code } or { mfaToken, recoveryCode }
+ * Second login step: exchanges the "mfa pending" token from /login for a full session.
+ */
+router.post('/verify', auditLog('auth.login_mfa'), async (req, res) => {
+  try {
+    const db = getDB();
+    const { mfaToken, code, recoveryCode } = req.body;
+    if (!mfaToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ message: 'mfaToken and code (or recoveryCode) required' });
+    }
+
+    const decoded = verifyMfaToken(mfaToken);
+    if (!decoded) return res.status(401).json({ message: 'Invalid or expired MFA token' });
+
+    const user = await db.collection('users').findOne({ email: String(decoded.email).toLowerCase() });
+    if (!user || String(user._id) !== String(decoded.id)) {
+      return res.status(401).json({ message: 'Invalid or expired MFA token' });
+    }
+    res.locals.audit = {
+      actor: { email: user.email, role: user.role },
+      companyName: user.companyName || null,
+      hrEmail: user.role === 'hr' ? user.email : null,
+      details: { method: code ? 'totp' : 'recovery' },
+    };
+
+    // wrong codes count towards the same lockout as wrong passwords
+    const limiterKeys = [accountKey(user.email), ipKey(req.ip)];
+    const lock = await loginLimiter.check(limiterKeys);
+    if (lock.locked) return sendLockedResponse(res, lock);
+
+    const factor = await checkSecondFactor(db, user, { code, recoveryCode });
+    if (!factor.ok) {
+      const afterFailure = await loginLimiter.recordFailure(limiterKeys);
+      if (afterFailure.locked) return sendLockedResponse(res, afterFailure);
+      return res.status(401).json({ message: 'Invalid 2FA code' });
+    }
+
+    await loginLimiter.reset(accountKey(user.email));
+
+    const { token, refreshToken } = await createSession(db, user, req);
+    const remaining = factor.method === 'recovery' ? (user.mfa.recoveryCodes || []).length - 1 : undefined;
+
+    return res.json({
+      message: 'Login successful',
+      user: sanitizeUser(user),
+      token,
+      refreshToken,
+      recoveryCodesRemaining: remaining,
+    });
+  } catch (err) {
+    console.error('MFA verify error:', err);
+    return res.status(500).json({ message: '2FA verification failed', error: err.message });
+  }
+});
+
+/**
+ * GET /mfa/policy
+ * HR-only: company 2FA policy
+ */
+router.get('/policy', verifyToken, verifyHR, async (req, res) => {
+  try {
+    const db = getDB();
+    const settings = await getCompanySettings(db, req.user.email);
+    return res.json({ companyName: req.user.companyName, requireHrMfa: !!settings.requireHrMfa });
+  } catch (err) {
+    console.error('Get MFA policy error:', err);
+    return res.status(500).json({ message: 'Failed to fetch 2FA policy', error: err.message });
+  }
+});
+
+/**
+ * PUT /mfa/policy
+ * HR-only: body { requireHrMfa: boolean }
+ * Makes 2FA mandatory for the company's HR account (settings are keyed by hrEmail, see utils/companySettings);
+ * it can then no longer be disabled. The caller must have 2FA enabled to turn it on.
+ */
+router.put('/policy', verifyToken, auditLog('company.mfa_policy'), verifyHR, async (req, res) => {
+  try {
+    const db = getDB();
+    const { requireHrMfa } = req.body;
+    if (typeof requireHrMfa !== 'boolean') {
+      return res.status(400).json({ message: 'requireHrMfa must be a boolean' });
+    }
+    if (requireHrMfa && !req.user.mfaEnabled) {
+      return res.status(400).json({ message: 'Enable 2FA on your own account before requiring it' });
+    }
+
+    await updateCompanySettings(db, req.user.email, { requireHrMfa }, req.user.email);
+
+    return res.json({ message: '2FA policy updated', companyName: req.user.companyName, requireHrMfa });
+  } catch (err) {
+    console.error('Update MFA policy error:', err);
+    return res.status(500).json({ message: 'Failed to update 2FA policy', error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,100 @@
+// src/routes/notifications.route.js
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const router = express.Router();
+const { getDB } = require('../config/db');
+const verifyToken = require('../middlewares/verifyToken');
+
+/**
+ * GET /notifications
+ * Authenticated: notifications for the current user, newest first
+ * Query: page, limit, unread (true = only unread)
+ */
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const db = getDB();
+    const page = Math.max(1, parseInt(req.query.page || '1', 10));
+    const limit = Math.max(1, parseInt(req.query.limit || '10', 10));
+    const skip = (page - 1) * limit;
+
+    const filter = { recipientEmail: req.user.email };
+    if (req.query.unread === 'true') filter.readAt = null;
+
+    const total = await db.collection('notifications').countDocuments(filter);
+    const items = await db.collection('notifications')
+      .find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .toArray();
+
+    return res.json({
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      items,
+    });
+  } catch (err) {
+    console.error('Get notifications error:', err);
+    return res.status(500).json({ message: 'Failed to fetch notifications', error: err.message });
+  }
+});
+
+/**
+ * GET /notifications/unread-count
+ * Authenticated: { count } of unread notifications
+ */
+router.get('/unread-count', verifyToken, async (req, res) => {
+  try {
+    const db = getDB();
+    const count = await db.collection('notifications').countDocuments({ recipientEmail: req.user.email, readAt: null });
+    return res.json({ count });
+  } catch (err) {
+    console.error('Get unread count error:', err);
+    return res.status(500).json({ message: 'Failed to fetch unread count', error: err.message });
+  }
+});
+
+/**
+ * PUT /notifications/read-all
+ * Authenticated: mark every unread notification of the current user as read
+ */
+router.put('/read-all', verifyToken, async (req, res) => {
+  try {
+    const db = getDB();
+    const result = await db.collection('notifications').updateMany(
+      { recipientEmail: req.user.email, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+    return res.json({ message: 'All notifications marked as read', updated: result.modifiedCount });
+  } catch (err) {
+    console.error('Mark all notifications read error:', err);
+    return res.status(500).json({ message: 'Failed to update notifications', error: err.message });
+  }
+});
+
+/**
+ * PUT /notifications/:id/read
+ * Authenticated: mark one of the current user's notifications as read
+ */
+router.put('/:id/read', verifyToken, async (req, res) => {
+  try {
+    const db = getDB();
+    const id = req.params.id;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ message: 'Invalid notification id' });
+
+    const result = await db.collection('notifications').updateOne(
+      { _id: new ObjectId(id), recipientEmail: req.user.email },
+      { $set: { readAt: new Date() } }
+    );
+    if (result.matchedCount === 0) return res.status(404).json({ message: 'Notification not found' });
+
+    return res.json({ message: 'Notification marked as read' });
+  } catch (err) {
+    console.error('Mark notification read error:', err);
+    return res.status(500).json({ message: 'Failed to update notification', error: err.message });
+  }
+});
+
+module.exports = router;
@@ -1,18 +1,90 @@
 // src/routes/packages.route.js
 const express = require('express');
+const { ObjectId } = require('mongodb');
 const router = express.Router();
 const { getDB } = require('../config/db');
+const verifyToken = require('../middlewares/verifyToken');
+const verifyAdmin = require('../middlewares/verifyAdmin');
+const auditLog = require('../middlewares/auditLog');
+
+/**
+ * Packages: { name, price (USD per month), employeeLimit, features: [string], active, displayOrder,
+ *             createdAt, updatedAt, archivedAt }
+ * Price and limit changes apply to new checkouts; running subscriptions keep what they were bought with.
+ */
+
+// case-insensitive name lookups
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+/**
+ * Validate a package body. With `partial` (updates) only the fields present are checked.
+ * Returns { fields } or { error }.
+ */
+function validatePackage(body, { partial = false } = {}) {
+  const fields = {};
+  const has = (key) => body[key] !== undefined;
+
+  if (!partial || has('name')) {
+    if (!body.name || !String(body.name).trim()) return { error: 'name is required' };
+    fields.name = String(body.name).trim();
+  }
+  if (!partial || has('price')) {
+    const price = Number(body.price);
+    if (body.price === null || body.price === '' || !Number.isFinite(price) || price < 0) {
+      return { error: 'price must be a number >= 0' };
+    }
+    fields.price = price;
+  }
+  if (!partial || has('employeeLimit')) {
+    const employeeLimit = Number(body.employeeLimit);
+    if (!Number.isInteger(employeeLimit) || employeeLimit < 1) {
+      return { error: 'employeeLimit must be a whole number >= 1' };
+    }
+    fields.employeeLimit = employeeLimit;
+  }
+  if (has('features')) {
+    if (!Array.isArray(body.features) || body.features.some((f) => typeof f !== 'string')) {
+      return { error: 'features must be an array of strings' };
+    }
+    fields.features = body.features.map((f) => f.trim()).filter(Boolean);
+  } else if (!partial) {
+    fields.features = [];
+  }
+  if (has('active')) {
+    if (typeof body.active !== 'boolean') return { error: 'active must be true or false' };
+    fields.active = body.active;
+  } else if (!partial) {
+    fields.active = true;
+  }
+  if (has('displayOrder')) {
+    const displayOrder = Number(body.displayOrder);
+    if (!Number.isInteger(displayOrder)) return { error: 'displayOrder must be a whole number' };
+    fields.displayOrder = displayOrder;
+  } else if (!partial) {
+    fields.displayOrder = 0;
+  }
+  return { fields };
+}
+
+// another package already uses this name
+async function nameTaken(db, name, exceptId = null) {
+  const filter = { name };
+  if (exceptId) filter._id = { $ne: exceptId };
+  const found = await db.collection('packages').findOne(filter, { collation: NAME_COLLATION });
+  return !!found;
+}
 
 /**
  * GET /packages
- * Public: return the packages available (from DB). If you prefer static packages, seed them in DB.
+ * Public: packages available for checkout, in display order (archived and inactive ones are hidden)
  */
 router.get('/', async (req, res) => {
-    console.log('🔥 /api/packages HIT');   
-
   try {
     const db = getDB();
-    const packages = await db.collection('packages').find({}).toArray();
+    const packages = await db.collection('packages')
+      .find({ active: { $ne: false } })
+      .sort({ displayOrder: 1, price: 1 })
+      .toArray();
     return res.json({ packages });
   } catch (err) {
     console.error('Get packages error:', err);
@@ -21,7 +93,123 @@ router.get('/', async (req, res) => {
 });
 
 /**
- * Optional: admin endpoints to create/update/delete packages can be added later.
+ * GET /packages/all
+ * Admin-only: every package including inactive and archived ones
+ */
+router.get('/all', verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const db = getDB();
+    const packages = await db.collection('packages').find({}).sort({ displayOrder: 1, price: 1 }).toArray();
+    return res.json({ packages });
+  } catch (err) {
+    console.error('Get all packages error:', err);
+    return res.status(500).json({ message: 'Failed to fetch packages', error: err.message });
+  }
+});
+
+/**
+ * POST /packages
+ * Admin-only: create a package
+ * Body: { name, price, employeeLimit, features?: [string], active? (default true), displayOrder? (default 0) }
  */
+router.post('/', verifyToken, auditLog('package.create', { targetType: 'package' }), verifyAdmin, async (req, res) => {
+  try {
+    const db = getDB();
+    const { fields, error } = validatePackage(req.body || {});
+    if (error) return res.status(400).json({ message: error });
+    if (await nameTaken(db, fields.name)) return res.status(409).json({ message: 'A package with this name already exists' });
+
+    const now = new Date();
+    const pkg = { ...fields, createdAt: now, updatedAt: now, archivedAt: null };
+    const result = await db.collection('packages').insertOne(pkg);
+
+    res.locals.audit = { targetId: String(result.insertedId), details: fields };
+    return res.status(201).json({ message: 'Package created', package: { _id: result.insertedId, ...pkg } });
+  } catch (err) {
+    console.error('Create package error:', err);
+    return res.status(500).json({ message: 'Failed to create package', error: err.message });
+  }
+});
+
+/**
+ * PUT /packages/:id
+ * Admin-only: update any of name, price, employeeLimit, features, active, displayOrder
+ * Reactivating an archived package (active: true) clears archivedAt.
+ */
+router.put('/:id', verifyToken, auditLog('package.update', { targetType: 'package', targetParam: 'id' }), verifyAdmin, async (req, res) => {
+  try {
+    const db = getDB();
+    const id = req.params.id;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ message: 'Invalid package id' });
+
+    const { fields, error } = validatePackage(req.body || {}, { partial: true });
+    if (error) return res.status(400).json({ message: error });
+    if (Object.keys(fields).length === 0) return res.status(400).json({ message: 'No fields to update' });
+
+    const packageId = new ObjectId(id);
+    if (fields.name && await nameTaken(db, fields.name, packageId)) {
+      return res.status(409).json({ message: 'A package with this name already exists' });
+    }
+
+    const update = { ...fields, updatedAt: new Date() };
+    if (fields.active === true) update.archivedAt = null;
+    const updated = await db.collection('packages').findOneAndUpdate(
+      { _id: packageId },
+      { $set: update },
+      { returnDocument: 'after' }
+    );
+    if (!updated) return res.status(404).json({ message: 'Package not found' });
+
+    res.locals.audit = { details: fields };
+    return res.json({ message: 'Package updated', package: updated });
+  } catch (err) {
+    console.error('Update package error:', err);
+    return res.status(500).json({ message: 'Failed to update package', error: err.message });
+  }
+});
+
+/**
+ * DELETE /packages/:id
+ * Admin-only: delete a package nobody ever paid for. Packages referenced by a subscription or a payment
+ * are archived instead (inactive, hidden from GET /packages, refused at checkout) so history and invoices keep resolving.
+ */
+router.delete('/:id', verifyToken, auditLog('package.delete', { targetType: 'package', targetParam: 'id' }), verifyAdmin, async (req, res) => {
+  try {
+    const db = getDB();
+    const id = req.params.id;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ message: 'Invalid package id' });
+
+    const packageId = new ObjectId(id);
+    const pkg = await db.collection('packages').findOne({ _id: packageId });
+    if (!pkg) return res.status(404).json({ message: 'Package not found' });
+
+    const [subscribers, payments] = await Promise.all([
+      db.collection('users').countDocuments({ subscriptionPackageId: packageId }),
+      db.collection('payments').countDocuments({ packageId }),
+    ]);
+
+    if (subscribers > 0 || payments > 0) {
+      const now = new Date();
+      const archived = await db.collection('packages').findOneAndUpdate(
+        { _id: packageId },
+        { $set: { active: false, archivedAt: pkg.archivedAt || now, updatedAt: now } },
+        { returnDocument: 'after' }
+      );
+      res.locals.audit = { details: { name: pkg.name, archived: true, subscribers, payments } };
+      return res.json({
+        message: 'Package is referenced by customers and was archived instead of deleted',
+        archived: true,
+        package: archived,
+      });
+    }
+
+    await db.collection('packages').deleteOne({ _id: packageId });
+    res.locals.audit = { details: { name: pkg.name, archived: false } };
+    return res.json({ message: 'Package deleted', archived: false });
+  } catch (err) {
+    console.error('Delete package error:', err);
+    return res.status(500).json({ message: 'Failed to delete package', error: err.message });
+  }
+});
 
 module.exports = router;
@@ -1,39 +1,32 @@
 // src/routes/payments.route.js
 const express = require("express");
+const crypto = require("crypto");
 const router = express.Router();
-const Stripe = require("stripe");
 const { ObjectId } = require("mongodb");
 const { getDB, getClient } = require("../config/db");
 const verifyToken = require("../middlewares/verifyToken");
 const verifyHR = require("../middlewares/verifyHR");
+const verifyAdmin = require("../middlewares/verifyAdmin");
+const auditLog = require("../middlewares/auditLog");
+const { processStripeEvent, cancelRolledBackSubscription, notifyRefund } = require("../utils/stripeWebhooks");
+const { REFUNDABLE_STATUSES, recordRefund } = require("../utils/refunds");
+const { notify } = require("../utils/notifications");
+const { streamInvoicePdf } = require("../utils/invoices");
+const { exportFailed } = require("../utils/exports");
+const stripe = require("../utils/stripe");
+const { subscriptionSummary } = require("../utils/subscriptions");
 
 const CLIENT_URL = process.env.CLIENT_URL || "http://localhost:5173";
-// inside payments.route.js
-const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
-function stripeWebhookHandler(req, res) {
-  const sig = req.headers["stripe-signature"];
-  try {
-    const event = stripe.webhooks.constructEvent(
-      req.body,
-      sig,
-      process.env.STRIPE_WEBHOOK_SECRET
-    );
-    // handle event...
-    res.json({ received: true });
-  } catch (err) {
-    console.error("Webhook signature error", err.message);
-    res.status(400).send(`Webhook Error: ${err.message}`);
-  }
-}
 
 /**
  * POST /payments/checkout
- * HR-only: create a Stripe Checkout Session for chosen package.
- * Body: { packageId }  OR { name, price, employeeLimit } if you want dynamic
+ * HR-only: create a Stripe Checkout Session for a monthly subscription to the chosen package.
+ * Body: { packageId } (an active package)
+ * Subscribing to another package replaces the current subscription once the checkout completes.
  *
  * Returns: { url } (the stripe checkout url to redirect the user to)
  */
-router.post("/checkout", verifyToken, verifyHR, async (req, res) => {
+router.post("/checkout", verifyToken, auditLog("package.checkout"), verifyHR, async (req, res) => {
   try {
     const db = getDB();
     const hr = req.user;
@@ -47,12 +40,33 @@ router.post("/checkout", verifyToken, verifyHR, async (req, res) => {
       .collection("packages")
       .findOne({ _id: new ObjectId(packageId) });
     if (!pkg) return res.status(404).json({ message: "Package not found" });
+    // archived or deactivated by an admin (see packages.route)
+    if (pkg.active === false)
+      return res.status(400).json({ message: "Package is no longer available" });
+    res.locals.audit = { details: { packageId: String(pkg._id), packageName: pkg.name, price: pkg.price } };
+
+    const hrUser = await db.collection("users").findOne({ email: hr.email });
+    if (
+      hrUser.stripeSubscriptionId &&
+      hrUser.subscriptionStatus === "active" &&
+      String(hrUser.subscriptionPackageId) === String(pkg._id)
+    ) {
+      return res.status(400).json({ message: "Already subscribed to this package" });
+    }
 
-    const amount = Math.round(Number(pkg.price) * 100); // price assumed in USD (or smallest currency unit conversion)
+    const amount = Math.round(Number(pkg.price) * 100); // monthly price assumed in USD (or smallest currency unit conversion)
+    const metadata = {
+      hrEmail: hr.email,
+      packageId: String(pkg._id),
+      packageName: pkg.name,
+      employeeLimit: String(pkg.employeeLimit),
+    };
     // create checkout session
     const session = await stripe.checkout.sessions.create({
       payment_method_types: ["card"],
-      mode: "payment",
+      mode: "subscription",
+      // reuse the Stripe customer across plan changes
+      ...(hrUser.stripeCustomerId ? { customer: hrUser.stripeCustomerId } : { customer_email: hr.email }),
       line_items: [
         {
           price_data: {
@@ -62,21 +76,36 @@ router.post("/checkout", verifyToken, verifyHR, async (req, res) => {
               description: `Upgrade to ${pkg.name} (${pkg.employeeLimit} employees)`,
             },
             unit_amount: amount,
+            recurring: { interval: "month" },
           },
           quantity: 1,
         },
       ],
       // important: include metadata so webhook can update DB
-      metadata: {
-        hrEmail: hr.email,
-        packageId: String(pkg._id),
-        packageName: pkg.name,
-        employeeLimit: String(pkg.employeeLimit),
-      },
+      metadata,
+      // copied onto the subscription so its events can be attributed
+      subscription_data: { metadata },
       success_url: `${CLIENT_URL}/payments/success?session_id={CHECKOUT_SESSION_ID}`,
       cancel_url: `${CLIENT_URL}/payments/cancel`,
     });
 
+    // pending until the webhook reports checkout.session.completed / expired
+    const now = new Date();
+    await db.collection("payments").insertOne({
+      hrEmail: hr.email,
+      packageId: pkg._id,
+      packageName: pkg.name,
+      employeeLimit: Number(pkg.employeeLimit),
+      amount,
+      currency: "usd",
+      transactionId: session.id,
+      paymentIntentId: null,
+      paymentDate: null,
+      status: "pending",
+      createdAt: now,
+      updatedAt: now,
+    });
+
     return res.json({ url: session.url, id: session.id });
   } catch (err) {
     console.error("Checkout error:", err);
@@ -93,22 +122,20 @@ router.post("/checkout", verifyToken, verifyHR, async (req, res) => {
  * POST /payments/webhook
  * Stripe webhook endpoint (must receive raw body)
  *
- * - listens for `checkout.session.completed`
  * - verifies signature using STRIPE_WEBHOOK_SECRET
- * - on success: record payment in payments collection and update HR packageLimit (immediately)
+ * - hands the event to processStripeEvent (utils/stripeWebhooks): checkout.session.completed / expired,
+ *   charge.refunded, charge.dispute.created / updated / closed, payment_intent.payment_failed, invoice.paid / payment_failed and
+ *   customer.subscription.updated / deleted; other types are acknowledged and ignored
+ * - already processed event ids (Stripe retries) are acknowledged without doing anything
  *
- * IMPORTANT: This route must be mounted with express.raw body parser (see wiring below).
+ * IMPORTANT: This route must be mounted with express.raw body parser (see src/index.js).
  */
 async function handleStripeWebhook(req, res) {
-  const db = getDB();
-  let event = null;
-  const sig = req.headers["stripe-signature"];
-
+  let event;
   try {
-    // verify signature
     event = stripe.webhooks.constructEvent(
       req.body,
-      sig,
+      req.headers["stripe-signature"],
       process.env.STRIPE_WEBHOOK_SECRET
     );
   } catch (err) {
@@ -117,72 +144,90 @@ async function handleStripeWebhook(req, res) {
   }
 
   try {
-    if (event.type === "checkout.session.completed") {
-      const session = event.data.object;
-      const metadata = session.metadata || {};
-      const hrEmail = metadata.hrEmail;
-      const packageId = metadata.packageId;
-      const packageName = metadata.packageName;
-      const employeeLimit = Number(metadata.employeeLimit || 0);
-
-      // Transactionally record payment and update HR packageLimit
-      const client = getClient();
-      const sessionDB = client.startSession();
-      try {
-        await sessionDB.withTransaction(async () => {
-          // 1) record payment
-          const paymentDoc = {
-            hrEmail: hrEmail || null,
-            packageId: packageId ? new ObjectId(packageId) : null,
-            packageName: packageName || null,
-            employeeLimit: employeeLimit,
-            amount: session.amount_total || null,
-            currency: session.currency || null,
-            transactionId: session.id,
-            paymentDate: new Date(),
-            status: "completed",
-            rawSession: session,
-          };
-          await db
-            .collection("payments")
-            .insertOne(paymentDoc, { session: sessionDB });
-
-          // 2) update HR user's packageLimit (overwrite or increase)
-          if (hrEmail && employeeLimit > 0) {
-            // Option: we set packageLimit = employeeLimit (replace). If you prefer add-on behavior, change accordingly.
-            await db
-              .collection("users")
-              .updateOne(
-                { email: hrEmail },
-                {
-                  $set: {
-                    packageLimit: employeeLimit,
-                    subscription: packageName || "upgraded",
-                  },
-                },
-                { session: sessionDB }
-              );
-          }
-        });
-      } finally {
-        await sessionDB.endSession();
-      }
-
-      // respond 200 to Stripe
-      return res.json({ received: true });
-    }
-
-    // handle other event types as needed
-    return res.json({ received: true });
+    const result = await processStripeEvent(getDB(), event);
+    return res.json({ received: true, duplicate: !!result.duplicate });
   } catch (err) {
+    // non-2xx makes Stripe retry; nothing was recorded for this event id
     console.error("Processing webhook failed:", err);
     return res.status(500).send("Webhook processing error");
   }
 }
 
+/**
+ * GET /payments/subscription
+ * HR-only: current plan, subscription status, period end, grace period and employee limit usage
+ */
+router.get("/subscription", verifyToken, verifyHR, async (req, res) => {
+  try {
+    const db = getDB();
+    const hrUser = await db.collection("users").findOne({ email: req.user.email });
+    return res.json({ subscription: subscriptionSummary(hrUser) });
+  } catch (err) {
+    console.error("Get subscription error:", err);
+    return res
+      .status(500)
+      .json({ message: "Failed to fetch subscription", error: err.message });
+  }
+});
+
+// cancel_at_period_end on the HR's Stripe subscription (cancel / resume)
+async function setCancelAtPeriodEnd(req, res, cancel) {
+  const db = getDB();
+  const hrUser = await db.collection("users").findOne({ email: req.user.email });
+  if (!hrUser.stripeSubscriptionId || hrUser.subscriptionStatus === "canceled") {
+    return res.status(400).json({ message: "No active subscription" });
+  }
+
+  await stripe.subscriptions.update(hrUser.stripeSubscriptionId, { cancel_at_period_end: cancel });
+  // the customer.subscription.updated webhook confirms this; store it now so the UI is current
+  const updated = await db.collection("users").findOneAndUpdate(
+    { _id: hrUser._id },
+    { $set: { subscriptionCancelAtPeriodEnd: cancel } },
+    { returnDocument: "after" }
+  );
+  res.locals.audit = { details: { subscriptionId: hrUser.stripeSubscriptionId } };
+  return res.json({
+    message: cancel ? "Subscription will end at the end of the current period" : "Subscription resumed",
+    subscription: subscriptionSummary(updated),
+  });
+}
+
+/**
+ * POST /payments/subscription/cancel
+ * HR-only: cancel at the end of the paid period (the package stays usable until then)
+ */
+router.post("/subscription/cancel", verifyToken, auditLog("subscription.cancel"), verifyHR, async (req, res) => {
+  try {
+    return await setCancelAtPeriodEnd(req, res, true);
+  } catch (err) {
+    console.error("Cancel subscription error:", err);
+    return res
+      .status(500)
+      .json({ message: "Failed to cancel subscription", error: err.message });
+  }
+});
+
+/**
+ * POST /payments/subscription/resume
+ * HR-only: undo a pending cancellation before the period ends
+ */
+router.post("/subscription/resume", verifyToken, auditLog("subscription.resume"), verifyHR, async (req, res) => {
+  try {
+    return await setCancelAtPeriodEnd(req, res, false);
+  } catch (err) {
+    console.error("Resume subscription error:", err);
+    return res
+      .status(500)
+      .json({ message: "Failed to resume subscription", error: err.message });
+  }
+});
+
 /**
  * GET /payments/history
- * HR-only: list payment history for authenticated HR
+ * HR-only: list payment history for authenticated HR (without the raw Stripe session)
+ * Each item carries its status (refunded / partially_refunded / disputed / dispute_lost included),
+ * refundedAmount, refunds, refundRequest and dispute as recorded by the admin refund endpoint and the Stripe webhooks,
+ * and invoiceId / invoiceNumber once paid.
  */
 router.get("/history", verifyToken, verifyHR, async (req, res) => {
   try {
@@ -190,7 +235,7 @@ router.get("/history", verifyToken, verifyHR, async (req, res) => {
     const hr = req.user;
     const items = await db
       .collection("payments")
-      .find({ hrEmail: hr.email })
+      .find({ hrEmail: hr.email }, { projection: { rawSession: 0 } })
       .sort({ paymentDate: -1 })
       .toArray();
     return res.json({ items });
@@ -202,11 +247,306 @@ router.get("/history", verifyToken, verifyHR, async (req, res) => {
   }
 });
 
+/**
+ * GET /payments/invoices
+ * HR-only: the company's invoices, newest first
+ * Query: ?page=1&limit=20
+ */
+router.get("/invoices", verifyToken, verifyHR, async (req, res) => {
+  try {
+    const db = getDB();
+    const hr = req.user;
+
+    const page = Math.max(1, parseInt(req.query.page || "1", 10));
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit || "20", 10)));
+    const skip = (page - 1) * limit;
+
+    const filter = { hrEmail: hr.email };
+    const [total, items] = await Promise.all([
+      db.collection("invoices").countDocuments(filter),
+      db.collection("invoices").find(filter, { projection: { "logo.data": 0 } }).sort({ sequence: -1 }).skip(skip).limit(limit).toArray(),
+    ]);
+
+    return res.json({ page, limit, total, totalPages: Math.ceil(total / limit), items });
+  } catch (err) {
+    console.error("List invoices error:", err);
+    return res
+      .status(500)
+      .json({ message: "Failed to fetch invoices", error: err.message });
+  }
+});
+
+/**
+ * GET /payments/invoices/:id/pdf
+ * HR-only: download an invoice as PDF
+ */
+router.get("/invoices/:id/pdf", verifyToken, verifyHR, async (req, res) => {
+  try {
+    const db = getDB();
+    const id = req.params.id;
+    if (!ObjectId.isValid(id))
+      return res.status(400).json({ message: "Invalid invoice id" });
+
+    const invoice = await db.collection("invoices").findOne({ _id: new ObjectId(id), hrEmail: req.user.email });
+    if (!invoice) return res.status(404).json({ message: "Invoice not found" });
+
+    const payment = await db.collection("payments").findOne({ _id: invoice.paymentId }, { projection: { rawSession: 0 } });
+    return await streamInvoicePdf(res, invoice, payment);
+  } catch (err) {
+    console.error("Invoice PDF error:", err);
+    return exportFailed(res, err, "Failed to generate invoice");
+  }
+});
+
+/**
+ * POST /payments/:id/refund-request
+ * HR-only: ask for a refund of one of the company's payments (e.g. the wrong package was bought).
+ * Body: { reason }
+ * Admins are notified; the refund itself is issued with POST /payments/:id/refund.
+ */
+router.post("/:id/refund-request", verifyToken, auditLog("payment.refund_request", { targetType: "payment", targetParam: "id" }), verifyHR, async (req, res) => {
+  try {
+    const db = getDB();
+    const hr = req.user;
+    const id = req.params.id;
+    const { reason } = req.body || {};
+    if (!ObjectId.isValid(id))
+      return res.status(400).json({ message: "Invalid payment id" });
+    if (!reason || !String(reason).trim())
+      return res.status(400).json({ message: "reason is required" });
+
+    const payment = await db.collection("payments").findOne({ _id: new ObjectId(id), hrEmail: hr.email });
+    if (!payment) return res.status(404).json({ message: "Payment not found" });
+    if (!REFUNDABLE_STATUSES.includes(payment.status))
+      return res.status(400).json({ message: `A ${payment.status} payment cannot be refunded` });
+    if (payment.refundRequest && payment.refundRequest.status === "pending")
+      return res.status(400).json({ message: "A refund request for this payment is already pending" });
+
+    const refundRequest = {
+      status: "pending",
+      reason: String(reason).trim(),
+      requestedBy: hr.email,
+      requestedAt: new Date(),
+      resolvedAt: null,
+      resolvedBy: null,
+      note: null,
+    };
+    await db.collection("payments").updateOne({ _id: payment._id }, { $set: { refundRequest, updatedAt: new Date() } });
+
+    const admins = await db.collection("users").find({ role: "admin" }, { projection: { email: 1 } }).toArray();
+    await notify(db, admins.map((admin) => ({
+      recipientEmail: admin.email,
+      type: "payment.refund_requested",
+      title: "Refund requested",
+      message: `${hr.companyName || hr.email} asked for a refund of their ${payment.packageName || "package"} payment: ${refundRequest.reason}`,
+      data: { paymentId: payment._id, transactionId: payment.transactionId, hrEmail: hr.email },
+    })));
+
+    res.locals.audit = { details: { transactionId: payment.transactionId, reason: refundRequest.reason } };
+    return res.status(201).json({ message: "Refund requested", refundRequest });
+  } catch (err) {
+    console.error("Refund request error:", err);
+    return res
+      .status(500)
+      .json({ message: "Failed to request refund", error: err.message });
+  }
+});
+
+/**
+ * GET /payments/refund-requests
+ * Admin-only: refund requests, oldest first
+ * Query: ?status=pending|approved|declined (default pending) &page=1&limit=20
+ */
+router.get("/refund-requests", verifyToken, verifyAdmin, async (req, res) => {
+  try {
+    const db = getDB();
+    const status = req.query.status || "pending";
+    if (!["pending", "approved", "declined"].includes(status))
+      return res.status(400).json({ message: "status must be one of: pending, approved, declined" });
+
+    const page = Math.max(1, parseInt(req.query.page || "1", 10));
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit || "20", 10)));
+    const skip = (page - 1) * limit;
+
+    const filter = { "refundRequest.status": status };
+    const [total, items] = await Promise.all([
+      db.collection("payments").countDocuments(filter),
+      db.collection("payments")
+        .find(filter, { projection: { rawSession: 0 } })
+        .sort({ "refundRequest.requestedAt": 1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray(),
+    ]);
+
+    return res.json({ page, limit, total, totalPages: Math.ceil(total / limit), items });
+  } catch (err) {
+    console.error("List refund requests error:", err);
+    return res
+      .status(500)
+      .json({ message: "Failed to fetch refund requests", error: err.message });
+  }
+});
+
+// how long a refund claim (payments.refundLockedAt) holds before another request may take over
+const REFUND_LOCK_MS = 5 * 60 * 1000;
+
+function releaseRefundLock(db, paymentId) {
+  return db.collection("payments").updateOne({ _id: paymentId }, { $unset: { refundLockedAt: "" } });
+}
+
+/**
+ * POST /payments/:id/refund
+ * Admin-only: refund a payment through Stripe and record it right away (the charge.refunded webhook that
+ * follows changes nothing). A full refund of the payment that activated the HR's current package rolls
+ * packageLimit / subscription back to the previous package and cancels the refunded subscription.
+ * Body: { amount? (smallest currency unit, default: everything not yet refunded), reason? }
+ * A pending refund request on the payment is marked approved.
+ */
+router.post("/:id/refund", verifyToken, auditLog("payment.refund", { targetType: "payment", targetParam: "id" }), verifyAdmin, async (req, res) => {
+  let lockedId = null;
+  try {
+    const db = getDB();
+    const id = req.params.id;
+    const { amount, reason } = req.body || {};
+    if (!ObjectId.isValid(id))
+      return res.status(400).json({ message: "Invalid payment id" });
+
+    // claim the payment so two admins (or a double click) can't both pass the remaining-amount check;
+    // a claim left behind by a crashed request expires after REFUND_LOCK_MS
+    const now = new Date();
+    const payment = await db.collection("payments").findOneAndUpdate(
+      {
+        _id: new ObjectId(id),
+        $or: [{ refundLockedAt: null }, { refundLockedAt: { $lt: new Date(now.getTime() - REFUND_LOCK_MS) } }],
+      },
+      { $set: { refundLockedAt: now } },
+      { returnDocument: "after" }
+    );
+    if (!payment) {
+      const exists = await db.collection("payments").countDocuments({ _id: new ObjectId(id) });
+      if (!exists) return res.status(404).json({ message: "Payment not found" });
+      return res.status(409).json({ message: "A refund of this payment is already in progress" });
+    }
+    lockedId = payment._id;
+
+    if (!REFUNDABLE_STATUSES.includes(payment.status))
+      return res.status(400).json({ message: `A ${payment.status} payment cannot be refunded` });
+    if (!payment.paymentIntentId)
+      return res.status(400).json({ message: "No Stripe payment intent recorded for this payment" });
+
+    const remaining = Number(payment.amount || 0) - Number(payment.refundedAmount || 0);
+    const refundAmount = amount === undefined || amount === null ? remaining : Number(amount);
+    if (!Number.isInteger(refundAmount) || refundAmount <= 0 || refundAmount > remaining)
+      return res.status(400).json({ message: `amount must be a whole number between 1 and ${remaining}` });
+
+    const refundedAmount = Number(payment.refundedAmount || 0) + refundAmount;
+    // the refunded total identifies this refund: retrying after a lost response can't refund twice
+    const refund = await stripe.refunds.create(
+      {
+        payment_intent: payment.paymentIntentId,
+        amount: refundAmount,
+        metadata: { paymentId: String(payment._id), refundedBy: req.user.email },
+      },
+      { idempotencyKey: `refund-${payment._id}-${refundedAmount}` }
+    );
+
+    let result;
+    const session = getClient().startSession();
+    try {
+      await session.withTransaction(async () => {
+        result = await recordRefund(db, payment, {
+          refundedAmount,
+          refundId: refund.id,
+          reason: reason ? String(reason).trim() : null,
+          refundedBy: req.user.email,
+        }, session);
+      }, {
+        readPreference: "primary",
+        readConcern: { level: "local" },
+        writeConcern: { w: "majority" }
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    await cancelRolledBackSubscription(result);
+    await notifyRefund(db, payment, result, refundedAmount);
+
+    res.locals.audit = {
+      hrEmail: payment.hrEmail,
+      details: { transactionId: payment.transactionId, refundId: refund.id, amount: refundAmount, status: result.status, packageRolledBack: result.rolledBack },
+    };
+    await releaseRefundLock(db, lockedId);
+    lockedId = null;
+    const updated = await db.collection("payments").findOne({ _id: payment._id }, { projection: { rawSession: 0, refundLockedAt: 0 } });
+    return res.json({ message: "Payment refunded", refundId: refund.id, packageRolledBack: result.rolledBack, payment: updated });
+  } catch (err) {
+    console.error("Refund payment error:", err);
+    return res
+      .status(500)
+      .json({ message: "Failed to refund payment", error: err.message });
+  } finally {
+    if (lockedId) {
+      await releaseRefundLock(getDB(), lockedId).catch((err) => console.error("Release refund lock error:", err));
+    }
+  }
+});
+
+/**
+ * PUT /payments/:id/refund-request/decline
+ * Admin-only: decline a pending refund request
+ * Body: { note? } (shown to the HR)
+ */
+router.put("/:id/refund-request/decline", verifyToken, auditLog("payment.refund_decline", { targetType: "payment", targetParam: "id" }), verifyAdmin, async (req, res) => {
+  try {
+    const db = getDB();
+    const id = req.params.id;
+    const { note } = req.body || {};
+    if (!ObjectId.isValid(id))
+      return res.status(400).json({ message: "Invalid payment id" });
+
+    const payment = await db.collection("payments").findOneAndUpdate(
+      { _id: new ObjectId(id), "refundRequest.status": "pending" },
+      {
+        $set: {
+          "refundRequest.status": "declined",
+          "refundRequest.resolvedAt": new Date(),
+          "refundRequest.resolvedBy": req.user.email,
+          "refundRequest.note": note ? String(note).trim() : null,
+          updatedAt: new Date(),
+        },
+      },
+      { returnDocument: "after", projection: { rawSession: 0 } }
+    );
+    if (!payment) return res.status(404).json({ message: "No pending refund request for this payment" });
+
+    await notify(db, {
+      recipientEmail: payment.hrEmail,
+      type: "payment.refund_declined",
+      title: "Refund request declined",
+      message: `Your refund request for the ${payment.packageName || "package"} payment was declined${payment.refundRequest.note ? `: ${payment.refundRequest.note}` : ""}`,
+      data: { paymentId: payment._id, transactionId: payment.transactionId },
+    });
+
+    res.locals.audit = { hrEmail: payment.hrEmail, details: { transactionId: payment.transactionId } };
+    return res.json({ message: "Refund request declined", payment });
+  } catch (err) {
+    console.error("Decline refund request error:", err);
+    return res
+      .status(500)
+      .json({ message: "Failed to decline refund request", error: err.message });
+  }
+});
+
 /**
  * DEV ONLY: POST /payments/simulate
- * Simulate a checkout.session.completed webhook for development without Stripe.
+ * Feed an event through the same pipeline as the webhook, without Stripe and without signature verification.
  * Protected with an env secret SIMULATE_SECRET to avoid accidental abuse.
- * Body: { session: <object> } where session.metadata must contain hrEmail, packageId, packageName, employeeLimit
+ * Body: { session } (shorthand for checkout.session.completed; session.metadata must contain
+ *       hrEmail, packageId, packageName, employeeLimit)
+ *    or { type, object, eventId? } for any handled event type
+ * Reusing an eventId is deduplicated exactly like a Stripe retry.
  */
 router.post("/simulate", async (req, res) => {
   try {
@@ -218,68 +558,33 @@ router.post("/simulate", async (req, res) => {
         .json({ message: "Simulate secret missing or invalid" });
     }
 
-    const sessionObj = req.body.session;
-    if (!sessionObj || !sessionObj.metadata)
+    const body = req.body || {};
+    const type = body.type || "checkout.session.completed";
+    const object = body.object || body.session;
+    if (!object || typeof object !== "object")
+      return res
+        .status(400)
+        .json({ message: "session (or type + object) required" });
+    if (type.startsWith("checkout.session.") && !object.metadata)
       return res
         .status(400)
         .json({ message: "session with metadata required" });
 
-    // Create a fake stripe event object shape similar to checkout.session.completed
-    const fakeEvent = {
-      type: "checkout.session.completed",
-      data: { object: sessionObj },
+    const simulatedId = `sim_${Date.now()}_${crypto.randomBytes(4).toString("hex")}`;
+    const event = {
+      id: body.eventId || `evt_${simulatedId}`,
+      type,
+      created: Math.floor(Date.now() / 1000),
+      livemode: false,
+      data: { object: { ...object, id: object.id || simulatedId } },
     };
 
-    // Call the same handler logic by temporarily constructing request-like object
-    // We'll call the internal handler function but without signature verification.
-    // To reuse code, create a small wrapper that accepts the fake event.
-    // For convenience here, just inline the logic similar to the webhook handler:
-
-    const db = getDB();
-    const client = getClient();
-    const metadata = sessionObj.metadata || {};
-    const hrEmail = metadata.hrEmail;
-    const packageId = metadata.packageId;
-    const packageName = metadata.packageName;
-    const employeeLimit = Number(metadata.employeeLimit || 0);
-
-    const s = client.startSession();
-    try {
-      await s.withTransaction(async () => {
-        const paymentDoc = {
-          hrEmail: hrEmail || null,
-          packageId: packageId ? new ObjectId(packageId) : null,
-          packageName: packageName || null,
-          employeeLimit: employeeLimit,
-          amount: sessionObj.amount_total || null,
-          currency: sessionObj.currency || null,
-          transactionId: sessionObj.id || `sim_${Date.now()}`,
-          paymentDate: new Date(),
-          status: "completed",
-          rawSession: sessionObj,
-        };
-        await db.collection("payments").insertOne(paymentDoc, { session: s });
-
-        if (hrEmail && employeeLimit > 0) {
-          await db
-            .collection("users")
-            .updateOne(
-              { email: hrEmail },
-              {
-                $set: {
-                  packageLimit: employeeLimit,
-                  subscription: packageName || "upgraded",
-                },
-              },
-              { session: s }
-            );
-        }
-      });
-    } finally {
-      await s.endSession();
-    }
-
-    return res.json({ message: "Simulated webhook processed" });
+    const result = await processStripeEvent(getDB(), event, { simulated: true });
+    return res.json({
+      message: result.duplicate ? "Event already processed" : "Simulated webhook processed",
+      eventId: event.id,
+      duplicate: !!result.duplicate,
+    });
   } catch (err) {
     console.error("Simulate webhook error:", err);
     return res
@@ -290,5 +595,5 @@ router.post("/simulate", async (req, res) => {
 
 module.exports = {
   paymentsRouter: router,
-  stripeWebhookHandler: handleStripeWebhook,
+  handleStripeWebhook,
 };
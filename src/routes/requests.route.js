@@ -4,18 +4,60 @@ const { ObjectId } = require('mongodb');
 const router = express.Router();
 const { getDB, getClient } = require('../config/db');
 const verifyToken = require('../middlewares/verifyToken');
+const verifyTokenOrApiKey = require('../middlewares/verifyTokenOrApiKey');
 const verifyHR = require('../middlewares/verifyHR');
-
-
+const auditLog = require('../middlewares/auditLog');
+const verifyEmail = require('../middlewares/verifyEmail');
+const { assignAsset } = require('../utils/assignment');
+const { recordAssetEvent } = require('../utils/assetHistory');
+const { notify, publishNotifications } = require('../utils/notifications');
+const { publish } = require('../utils/eventBus');
+const { exportFormat, streamExport, exportFailed } = require('../utils/exports');
+
+// All request states. 'changes-requested' is set by HR and answered by the employee (back to 'pending').
+const REQUEST_STATUSES = ['pending', 'changes-requested', 'approved', 'rejected', 'returned', 'cancelled'];
+const BULK_MAX_IDS = 100;
+
+// history entry on the requested asset for a request status change
+function recordRequestEvent(db, request, type, actor, details = {}) {
+  return recordAssetEvent(db, {
+    assetId: request.assetId,
+    type,
+    actor,
+    hrEmail: request.hrEmail,
+    companyName: request.companyName || null,
+    details: { requestId: request._id, requesterEmail: request.requesterEmail, ...details },
+  });
+}
+
+// HR list filters shared by GET /requests and GET /requests/export: status
+function buildRequestFilter(hr, query) {
+  const status = query.status ? String(query.status) : null;
+
+  const filter = { hrEmail: hr.email };
+  if (status && REQUEST_STATUSES.includes(status)) {
+    filter.requestStatus = status;
+  }
+  return filter;
+}
+
+// live update for both sides of a request whose status changed
+function publishStatusChange(request, requestStatus, actor) {
+  return publish('request.status_changed', {
+    hrEmail: request.hrEmail,
+    recipients: [request.requesterEmail, request.hrEmail],
+    data: { requestId: request._id, assetId: request.assetId, assetName: request.assetName, requestStatus, actor },
+  });
+}
 
 /**
  * POST /requests
- * Employee creates a request for an asset.
+ * Employee (with verified email) creates a request for an asset.
  * Body: { assetId, note? }
  * - Sets requestStatus = 'pending'
  * - hrEmail and companyName are derived from asset record
  */
-router.post('/', verifyToken, async (req, res) => {
+router.post('/', verifyToken, verifyEmail, async (req, res) => {
   try {
     const db = getDB();
     const user = req.user; // from verifyToken
@@ -56,6 +98,22 @@ router.post('/', verifyToken, async (req, res) => {
     const result = await db.collection('requests').insertOne(requestDoc);
     const created = await db.collection('requests').findOne({ _id: result.insertedId });
 
+    await recordRequestEvent(db, created, 'requested', user.email, { note: created.note });
+
+    await notify(db, {
+      recipientEmail: created.hrEmail,
+      type: 'request.created',
+      title: 'New asset request',
+      message: `${created.requesterName || created.requesterEmail} requested ${created.assetName}`,
+      data: { requestId: created._id, assetId: created.assetId },
+    });
+
+    publish('request.created', {
+      hrEmail: created.hrEmail,
+      recipients: [created.hrEmail],
+      data: { request: created },
+    });
+
     return res.status(201).json({ message: 'Request created', request: created });
   } catch (err) {
     console.error('Create request error:', err);
@@ -105,9 +163,9 @@ router.get('/my', verifyToken, async (req, res) => {
 /**
  * GET /requests
  * HR-only: list requests for the HR (by hrEmail) with pagination and optional status filter
- * Query params: page, limit, status (pending|approved|rejected)
+ * Query params: page, limit, status (pending|changes-requested|approved|rejected|returned|cancelled)
  */
-router.get('/', verifyToken, verifyHR, async (req, res) => {
+router.get('/', verifyTokenOrApiKey('requests:read'), verifyHR, async (req, res) => {
   try {
     const db = getDB();
     const hr = req.user;
@@ -115,12 +173,7 @@ router.get('/', verifyToken, verifyHR, async (req, res) => {
     const page = Math.max(1, parseInt(req.query.page || '1', 10));
     const limit = Math.max(1, parseInt(req.query.limit || '10', 10));
     const skip = (page - 1) * limit;
-    const status = req.query.status ? String(req.query.status) : null;
-
-    const filter = { hrEmail: hr.email };
-    if (status && ['pending', 'approved', 'rejected', 'returned'].includes(status)) {
-      filter.requestStatus = status;
-    }
+    const filter = buildRequestFilter(hr, req.query);
 
     const total = await db.collection('requests').countDocuments(filter);
     const items = await db.collection('requests')
@@ -143,36 +196,51 @@ router.get('/', verifyToken, verifyHR, async (req, res) => {
   }
 });
 
+/**
+ * GET /requests/export
+ * HR-only: stream this HR's requests as CSV or NDJSON
+ * Query: format (csv|ndjson, default csv), status
+ */
+router.get('/export', verifyTokenOrApiKey('requests:read'), auditLog('request.export'), verifyHR, async (req, res) => {
+  const { format, error } = exportFormat(req.query);
+  if (error) return res.status(400).json({ message: error });
+  try {
+    const db = getDB();
+    const cursor = db.collection('requests')
+      .find(buildRequestFilter(req.user, req.query))
+      .sort({ requestDate: -1 });
+    return await streamExport(res, cursor, {
+      name: 'requests',
+      format,
+      columns: ['_id', 'assetId', 'assetName', 'assetType', 'requesterName', 'requesterEmail', 'requestStatus', 'requestDate', 'approvalDate', 'processedBy', 'note'],
+    });
+  } catch (err) {
+    console.error('Export requests error:', err);
+    return exportFailed(res, err, 'Failed to export requests');
+  }
+});
+
 
 
 /**
- * PUT /requests/:id/approve
- * HR-only: Approve a pending request.
+ * Approve one pending request in its own transaction (used by single and bulk approve).
  * Transactional:
  *  - confirm request pending & belongs to this HR
  *  - ensure asset availableQuantity > 0
  *  - decrement asset.availableQuantity by 1
- *  - create assignedAssets entry
+ *  - create assignedAssets entry (unit-tracked assets: the given unitId or the oldest available unit)
  *  - set request.requestStatus = 'approved', approvalDate, processedBy
  *  - if employeeAffiliation doesn't exist, ensure HR.packageLimit allows new employee, then create affiliation and increment HR.currentEmployees
+ * Throws Error with a client-facing message on failure.
  */
-router.put('/:id/approve', verifyToken, verifyHR, async (req, res) => {
-  const db = getDB();
-  const client = getClient();
-  const hr = req.user;
-  const reqId = req.params.id;
-
-  if (!ObjectId.isValid(reqId)) return res.status(400).json({ message: 'Invalid request id' });
-
+async function approveRequest(db, client, hr, reqId, { unitId = null } = {}) {
   const session = client.startSession();
   try {
     let resultDoc = null;
+    let approved = null;
+    let stockNotifications = [];
     await session.withTransaction(async () => {
       const requestsColl = db.collection('requests');
-      const assetsColl = db.collection('assets');
-      const assignedColl = db.collection('assignedAssets');
-      const affColl = db.collection('employeeAffiliations');
-      const usersColl = db.collection('users');
 
       // 1) Fetch request (for update)
       const request = await requestsColl.findOne({ _id: new ObjectId(reqId) }, { session });
@@ -180,36 +248,19 @@ router.put('/:id/approve', verifyToken, verifyHR, async (req, res) => {
       if (request.hrEmail !== hr.email) throw new Error('Not authorized for this request');
       if (request.requestStatus !== 'pending') throw new Error('Request not pending');
 
-      // 2) Ensure asset has availableQuantity > 0 and decrement it
-      const asset = await assetsColl.findOne({ _id: new ObjectId(request.assetId) }, { session });
-      if (!asset) throw new Error('Associated asset not found');
-
-      if ((asset.availableQuantity || 0) <= 0) throw new Error('Asset not available');
-
-      const updateAssetRes = await assetsColl.updateOne(
-        { _id: asset._id, availableQuantity: { $gt: 0 } },
-        { $inc: { availableQuantity: -1 } },
-        { session }
-      );
-      if (updateAssetRes.matchedCount === 0) throw new Error('Failed to decrement asset (concurrent update?)');
-
-      // 3) Create assignedAssets entry
-      const assignedDoc = {
-        assetId: asset._id,
-        assetName: asset.productName,
-        assetImage: asset.productImage || null,
-        assetType: asset.productType,
+      // 2) Decrement stock, create assignedAssets entry and affiliation (packageLimit enforced)
+      const { assignedId, notifications } = await assignAsset(db, {
+        assetId: request.assetId,
         employeeEmail: request.requesterEmail,
         employeeName: request.requesterName,
-        hrEmail: hr.email,
-        companyName: request.companyName || null,
-        assignmentDate: new Date(),
-        returnDate: null,
-        status: 'assigned'
-      };
-      const assignedRes = await assignedColl.insertOne(assignedDoc, { session });
-
-      // 4) Update request to approved
+        hr,
+        requestId: request._id,
+        companyName: request.companyName,
+        unitId,
+        session
+      });
+
+      // 3) Update request to approved
       const now = new Date();
       await requestsColl.updateOne(
         { _id: request._id },
@@ -223,44 +274,10 @@ router.put('/:id/approve', verifyToken, verifyHR, async (req, res) => {
         { session }
       );
 
-      // 5) Create affiliation if needed, and enforce packageLimit
-      const existingAff = await affColl.findOne(
-        { employeeEmail: request.requesterEmail, hrEmail: hr.email },
-        { session }
-      );
-
-      if (!existingAff) {
-        // check HR packageLimit
-        const hrUser = await usersColl.findOne({ email: hr.email }, { session });
-        if (!hrUser) throw new Error('HR user not found');
-        const packageLimit = Number(hrUser.packageLimit || 0);
-        const currentEmployees = Number(hrUser.currentEmployees || 0);
-
-        if (currentEmployees + 1 > packageLimit) {
-          throw new Error('Package employee limit reached; cannot create new affiliation. Please upgrade package.');
-        }
-
-        const affDoc = {
-          employeeEmail: request.requesterEmail,
-          employeeName: request.requesterName,
-          hrEmail: hr.email,
-          companyName: request.companyName || null,
-          companyLogo: request.companyLogo || null,
-          affiliationDate: new Date(),
-          status: 'active'
-        };
-        await affColl.insertOne(affDoc, { session });
-
-        // increment hr currentEmployees
-        await usersColl.updateOne(
-          { email: hr.email },
-          { $inc: { currentEmployees: 1 } },
-          { session }
-        );
-      }
-
       // Return helpful result
-      resultDoc = { message: 'Request approved', assignedId: assignedRes.insertedId };
+      resultDoc = { message: 'Request approved', assignedId };
+      approved = request;
+      stockNotifications = notifications;
     }, {
       readPreference: 'primary',
       readConcern: { level: 'local' },
@@ -268,10 +285,90 @@ router.put('/:id/approve', verifyToken, verifyHR, async (req, res) => {
     });
 
     await session.endSession();
-    return res.json(resultDoc);
+
+    publishNotifications(stockNotifications);
+    await notify(db, {
+      recipientEmail: approved.requesterEmail,
+      type: 'request.approved',
+      title: 'Request approved',
+      message: `Your request for ${approved.assetName} was approved`,
+      data: { requestId: approved._id, assetId: approved.assetId, assignedId: resultDoc.assignedId },
+    });
+
+    publishStatusChange(approved, 'approved', hr.email);
+    publish('asset.assigned', {
+      hrEmail: hr.email,
+      recipients: [approved.requesterEmail, hr.email],
+      data: { assignedId: resultDoc.assignedId, assetId: approved.assetId, employeeEmail: approved.requesterEmail, requestId: approved._id },
+    });
+
+    return resultDoc;
   } catch (err) {
     await session.abortTransaction().catch(()=>{});
     session.endSession();
+    throw err;
+  }
+}
+
+/**
+ * Reject one request that is 'pending' or 'changes-requested' (used by single and bulk reject).
+ * Throws Error with `statusCode` (404/403/400) and a client-facing message on failure.
+ */
+async function rejectRequest(db, hr, reqId) {
+  const fail = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+  const request = await db.collection('requests').findOne({ _id: new ObjectId(reqId) });
+  if (!request) throw fail(404, 'Request not found');
+  if (request.hrEmail !== hr.email) throw fail(403, 'Not authorized');
+  if (!['pending', 'changes-requested'].includes(request.requestStatus)) {
+    throw fail(400, 'Only pending requests can be rejected');
+  }
+
+  const now = new Date();
+  const updated = await db.collection('requests').updateOne(
+    { _id: request._id, requestStatus: request.requestStatus },
+    {
+      $set: {
+        requestStatus: 'rejected',
+        approvalDate: now,
+        processedBy: hr.email
+      }
+    }
+  );
+  if (updated.matchedCount === 0) throw fail(409, 'Request was modified concurrently');
+
+  await recordRequestEvent(db, request, 'request_rejected', hr.email);
+
+  await notify(db, {
+    recipientEmail: request.requesterEmail,
+    type: 'request.rejected',
+    title: 'Request rejected',
+    message: `Your request for ${request.assetName} was rejected`,
+    data: { requestId: request._id, assetId: request.assetId },
+  });
+
+  publishStatusChange(request, 'rejected', hr.email);
+
+  return { message: 'Request rejected' };
+}
+
+
+/**
+ * PUT /requests/:id/approve
+ * HR-only: Approve a pending request (see approveRequest).
+ * Body (optional): { unitId } - specific unit to hand out for unit-tracked assets
+ */
+router.put('/:id/approve', verifyTokenOrApiKey('requests:write'), auditLog('request.approve', { targetType: 'request', targetParam: 'id' }), verifyHR, async (req, res) => {
+  const db = getDB();
+  const client = getClient();
+  const reqId = req.params.id;
+
+  if (!ObjectId.isValid(reqId)) return res.status(400).json({ message: 'Invalid request id' });
+
+  try {
+    const resultDoc = await approveRequest(db, client, req.user, reqId, { unitId: (req.body || {}).unitId });
+    return res.json(resultDoc);
+  } catch (err) {
     console.error('Approve request error:', err);
     return res.status(400).json({ message: err.message || 'Approval failed' });
   }
@@ -280,39 +377,221 @@ router.put('/:id/approve', verifyToken, verifyHR, async (req, res) => {
 
 /**
  * PUT /requests/:id/reject
- * HR-only: mark request as 'rejected'
+ * HR-only: mark request as 'rejected' (from 'pending' or 'changes-requested')
+ */
+router.put('/:id/reject', verifyTokenOrApiKey('requests:write'), auditLog('request.reject', { targetType: 'request', targetParam: 'id' }), verifyHR, async (req, res) => {
+  try {
+    const db = getDB();
+    const reqId = req.params.id;
+    if (!ObjectId.isValid(reqId)) return res.status(400).json({ message: 'Invalid request id' });
+
+    const resultDoc = await rejectRequest(db, req.user, reqId);
+    return res.json(resultDoc);
+  } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ message: err.message });
+    console.error('Reject request error:', err);
+    return res.status(500).json({ message: 'Failed to reject request', error: err.message });
+  }
+});
+
+
+/**
+ * POST /requests/bulk
+ * HR-only: approve or reject many requests at once.
+ * Body: { ids: [requestId, ...], action: 'approve'|'reject' }
+ * Each request is processed on its own with the same checks as the single-request handlers,
+ * so one failure (e.g. "Asset not available") doesn't undo the others.
+ * Returns per-request results: [{ id, ok, message, assignedId? }]
  */
-router.put('/:id/reject', verifyToken, verifyHR, async (req, res) => {
+router.post('/bulk', verifyTokenOrApiKey('requests:write'), auditLog('request.bulk'), verifyHR, async (req, res) => {
+  try {
+    const db = getDB();
+    const client = getClient();
+    const hr = req.user;
+    const { ids, action } = req.body;
+
+    if (!['approve', 'reject'].includes(action)) {
+      return res.status(400).json({ message: 'action must be "approve" or "reject"' });
+    }
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ message: 'ids must be a non-empty array' });
+    }
+    if (ids.length > BULK_MAX_IDS) {
+      return res.status(400).json({ message: `At most ${BULK_MAX_IDS} requests can be processed at once` });
+    }
+
+    const uniqueIds = [...new Set(ids.map(String))];
+    const results = [];
+
+    // sequential on purpose: approvals compete for the same stock and package limit
+    for (const id of uniqueIds) {
+      if (!ObjectId.isValid(id)) {
+        results.push({ id, ok: false, message: 'Invalid request id' });
+        continue;
+      }
+      try {
+        const result = action === 'approve'
+          ? await approveRequest(db, client, hr, id)
+          : await rejectRequest(db, hr, id);
+        results.push({ id, ok: true, ...result });
+      } catch (err) {
+        results.push({ id, ok: false, message: err.message || 'Failed' });
+      }
+    }
+
+    const succeeded = results.filter((r) => r.ok).length;
+    res.locals.audit = { details: { action, results: results.map(({ id, ok, message }) => ({ id, ok, message })) } };
+    return res.json({
+      action,
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      results,
+    });
+  } catch (err) {
+    console.error('Bulk request action error:', err);
+    return res.status(500).json({ message: 'Bulk action failed', error: err.message });
+  }
+});
+
+
+/**
+ * PUT /requests/:id/request-changes
+ * HR-only: ask the employee to change a pending request before it is approved.
+ * Body: { message }
+ * - sets requestStatus = 'changes-requested' and stores the HR message in changeRequest
+ */
+router.put('/:id/request-changes', verifyTokenOrApiKey('requests:write'), auditLog('request.request_changes', { targetType: 'request', targetParam: 'id' }), verifyHR, async (req, res) => {
   try {
     const db = getDB();
     const hr = req.user;
     const reqId = req.params.id;
     if (!ObjectId.isValid(reqId)) return res.status(400).json({ message: 'Invalid request id' });
 
+    const { message } = req.body;
+    if (!message || !String(message).trim()) {
+      return res.status(400).json({ message: 'message is required' });
+    }
+
     const request = await db.collection('requests').findOne({ _id: new ObjectId(reqId) });
     if (!request) return res.status(404).json({ message: 'Request not found' });
     if (request.hrEmail !== hr.email) return res.status(403).json({ message: 'Not authorized' });
-    if (request.requestStatus !== 'pending') return res.status(400).json({ message: 'Only pending requests can be rejected' });
+    if (request.requestStatus !== 'pending') {
+      return res.status(400).json({ message: 'Changes can only be requested on pending requests' });
+    }
+
+    const changeRequest = {
+      message: String(message).trim(),
+      requestedBy: hr.email,
+      requestedAt: new Date(),
+    };
+
+    const updated = await db.collection('requests').findOneAndUpdate(
+      { _id: request._id, requestStatus: 'pending' },
+      { $set: { requestStatus: 'changes-requested', changeRequest } },
+      { returnDocument: 'after' }
+    );
+    if (!updated) return res.status(409).json({ message: 'Request was modified concurrently' });
+
+    await recordRequestEvent(db, request, 'request_changes_requested', hr.email, { message: changeRequest.message });
+    publishStatusChange(request, 'changes-requested', hr.email);
+
+    return res.json({ message: 'Changes requested', request: updated });
+  } catch (err) {
+    console.error('Request changes error:', err);
+    return res.status(500).json({ message: 'Failed to request changes', error: err.message });
+  }
+});
+
 
-    const now = new Date();
-    await db.collection('requests').updateOne(
-      { _id: request._id },
+/**
+ * PUT /requests/:id/respond
+ * Employee-only: answer an HR change request with an updated note.
+ * Body: { note }
+ * - request goes back to 'pending'; the previous note and HR message are kept in revisions
+ */
+router.put('/:id/respond', verifyToken, async (req, res) => {
+  try {
+    const db = getDB();
+    const user = req.user;
+    const reqId = req.params.id;
+    if (!ObjectId.isValid(reqId)) return res.status(400).json({ message: 'Invalid request id' });
+
+    const { note } = req.body;
+    if (!note || !String(note).trim()) {
+      return res.status(400).json({ message: 'note is required' });
+    }
+
+    const request = await db.collection('requests').findOne({ _id: new ObjectId(reqId) });
+    if (!request) return res.status(404).json({ message: 'Request not found' });
+    if (request.requesterEmail !== user.email) return res.status(403).json({ message: 'Not authorized' });
+    if (request.requestStatus !== 'changes-requested') {
+      return res.status(400).json({ message: 'Request has no pending change request' });
+    }
+
+    const revision = {
+      changeRequest: request.changeRequest || null,
+      previousNote: request.note || null,
+      note: String(note).trim(),
+      respondedAt: new Date(),
+    };
+
+    const updated = await db.collection('requests').findOneAndUpdate(
+      { _id: request._id, requestStatus: 'changes-requested' },
       {
-        $set: {
-          requestStatus: 'rejected',
-          approvalDate: now,
-          processedBy: hr.email
-        }
-      }
+        $set: { requestStatus: 'pending', note: revision.note, changeRequest: null },
+        $push: { revisions: revision }
+      },
+      { returnDocument: 'after' }
     );
+    if (!updated) return res.status(409).json({ message: 'Request was modified concurrently' });
+
+    await recordRequestEvent(db, request, 'request_updated', user.email, { note: revision.note });
+    publishStatusChange(request, 'pending', user.email);
 
-    return res.json({ message: 'Request rejected' });
+    return res.json({ message: 'Request updated', request: updated });
   } catch (err) {
-    console.error('Reject request error:', err);
-    return res.status(500).json({ message: 'Failed to reject request', error: err.message });
+    console.error('Respond to change request error:', err);
+    return res.status(500).json({ message: 'Failed to update request', error: err.message });
   }
 });
 
 
+/**
+ * PUT /requests/:id/cancel
+ * Employee-only: withdraw an own request that has not been processed yet
+ * (status 'pending' or 'changes-requested').
+ */
+router.put('/:id/cancel', verifyToken, async (req, res) => {
+  try {
+    const db = getDB();
+    const user = req.user;
+    const reqId = req.params.id;
+    if (!ObjectId.isValid(reqId)) return res.status(400).json({ message: 'Invalid request id' });
+
+    const request = await db.collection('requests').findOne({ _id: new ObjectId(reqId) });
+    if (!request) return res.status(404).json({ message: 'Request not found' });
+    if (request.requesterEmail !== user.email) return res.status(403).json({ message: 'Not authorized' });
+    if (!['pending', 'changes-requested'].includes(request.requestStatus)) {
+      return res.status(400).json({ message: 'Only pending requests can be cancelled' });
+    }
+
+    const updated = await db.collection('requests').findOneAndUpdate(
+      { _id: request._id, requestStatus: { $in: ['pending', 'changes-requested'] } },
+      { $set: { requestStatus: 'cancelled', cancelledAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    if (!updated) return res.status(409).json({ message: 'Request was modified concurrently' });
+
+    await recordRequestEvent(db, request, 'request_cancelled', user.email);
+    publishStatusChange(request, 'cancelled', user.email);
+
+    return res.json({ message: 'Request cancelled', request: updated });
+  } catch (err) {
+    console.error('Cancel request error:', err);
+    return res.status(500).json({ message: 'Failed to cancel request', error: err.message });
+  }
+});
+
 
 module.exports = router;
\ No newline at end of file
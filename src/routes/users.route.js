@@ -2,19 +2,26 @@ const express = require("express");
 const router = express.Router();
 const { getDB } = require("../config/db");
 const verifyToken = require("../middlewares/verifyToken");
+const auditLog = require("../middlewares/auditLog");
 
-router.put("/users/me", verifyToken, async (req, res) => {
+router.put("/users/me", verifyToken, auditLog("profile.update", { targetType: "user" }), async (req, res) => {
   const db = getDB();
   const email = req.user.email;
 
   const { name, phone, address, photo } = req.body;
+  res.locals.audit = {
+    targetId: String(req.user._id),
+    details: { fields: ["name", "phone", "address", "photo"].filter((key) => key in req.body) },
+  };
 
   await db.collection("users").updateOne(
     { email },
     { $set: { name, phone, address, photo } }
   );
 
-  const user = await db.collection("users").findOne({ email });
+  const user = await db
+    .collection("users")
+    .findOne({ email }, { projection: { password: 0, mfa: 0 } });
   res.json({ user });
 });
 
@@ -0,0 +1,276 @@
+// src/routes/webhooks.route.js
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const router = express.Router();
+const { getDB } = require('../config/db');
+const verifyToken = require('../middlewares/verifyToken');
+const verifyHR = require('../middlewares/verifyHR');
+const auditLog = require('../middlewares/auditLog');
+const {
+  WEBHOOK_EVENTS,
+  generateSecret,
+  validateWebhookUrl,
+  validateWebhookEvents,
+  createDelivery,
+  runDueDeliveries,
+  redeliver,
+} = require('../utils/webhooks');
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+// the signing secret is only returned on create and rotate
+const WEBHOOK_PROJECTION = { secret: 0 };
+
+async function findOwnWebhook(db, hr, id) {
+  if (!ObjectId.isValid(id)) return null;
+  return db.collection('webhooks').findOne({ _id: new ObjectId(id), hrEmail: hr.email }, { projection: WEBHOOK_PROJECTION });
+}
+
+/**
+ * GET /webhooks/events
+ * HR-only: event types an endpoint can subscribe to
+ */
+router.get('/events', verifyToken, verifyHR, (req, res) => {
+  return res.json({ events: WEBHOOK_EVENTS });
+});
+
+/**
+ * GET /webhooks
+ * HR-only: webhook endpoints registered by this HR
+ */
+router.get('/', verifyToken, verifyHR, async (req, res) => {
+  try {
+    const db = getDB();
+    const items = await db.collection('webhooks')
+      .find({ hrEmail: req.user.email }, { projection: WEBHOOK_PROJECTION })
+      .sort({ createdAt: -1 })
+      .toArray();
+    return res.json({ items });
+  } catch (err) {
+    console.error('List webhooks error:', err);
+    return res.status(500).json({ message: 'Failed to fetch webhooks', error: err.message });
+  }
+});
+
+/**
+ * POST /webhooks
+ * HR-only: register an endpoint
+ * Body: { url, events: [type], description? }
+ * Response includes the signing secret (shown once)
+ */
+router.post('/', verifyToken, auditLog('webhook.create', { targetType: 'webhook' }), verifyHR, async (req, res) => {
+  try {
+    const db = getDB();
+    const hr = req.user;
+    const { url, events, description } = req.body || {};
+
+    const urlError = await validateWebhookUrl(url);
+    if (urlError) return res.status(400).json({ message: urlError });
+    const eventsError = validateWebhookEvents(events);
+    if (eventsError) return res.status(400).json({ message: eventsError });
+
+    const now = new Date();
+    const webhook = {
+      hrEmail: hr.email,
+      companyName: hr.companyName || null,
+      url: url.trim(),
+      events: [...new Set(events)],
+      description: description ? String(description).trim() : null,
+      secret: generateSecret(),
+      active: true,
+      createdBy: hr.email,
+      createdAt: now,
+      updatedAt: now,
+    };
+    const result = await db.collection('webhooks').insertOne(webhook);
+
+    res.locals.audit = { targetId: String(result.insertedId), details: { url: webhook.url, events: webhook.events } };
+    return res.status(201).json({ message: 'Webhook created', webhook: { ...webhook, _id: result.insertedId } });
+  } catch (err) {
+    console.error('Create webhook error:', err);
+    return res.status(500).json({ message: 'Failed to create webhook', error: err.message });
+  }
+});
+
+/**
+ * PUT /webhooks/:id
+ * HR-only: update url, events, description or active
+ */
+router.put('/:id', verifyToken, auditLog('webhook.update', { targetType: 'webhook', targetParam: 'id' }), verifyHR, async (req, res) => {
+  try {
+    const db = getDB();
+    const webhook = await findOwnWebhook(db, req.user, req.params.id);
+    if (!webhook) return res.status(404).json({ message: 'Webhook not found' });
+
+    const { url, events, description, active } = req.body || {};
+    const update = { updatedAt: new Date() };
+
+    if (url !== undefined) {
+      const urlError = await validateWebhookUrl(url);
+      if (urlError) return res.status(400).json({ message: urlError });
+      update.url = url.trim();
+    }
+    if (events !== undefined) {
+      const eventsError = validateWebhookEvents(events);
+      if (eventsError) return res.status(400).json({ message: eventsError });
+      update.events = [...new Set(events)];
+    }
+    if (description !== undefined) update.description = description ? String(description).trim() : null;
+    if (active !== undefined) {
+      if (typeof active !== 'boolean') return res.status(400).json({ message: 'active must be a boolean' });
+      update.active = active;
+    }
+
+    const updated = await db.collection('webhooks').findOneAndUpdate(
+      { _id: webhook._id },
+      { $set: update },
+      { returnDocument: 'after', projection: WEBHOOK_PROJECTION }
+    );
+
+    return res.json({ message: 'Webhook updated', webhook: updated });
+  } catch (err) {
+    console.error('Update webhook error:', err);
+    return res.status(500).json({ message: 'Failed to update webhook', error: err.message });
+  }
+});
+
+/**
+ * DELETE /webhooks/:id
+ * HR-only: remove an endpoint; pending deliveries to it are marked failed
+ */
+router.delete('/:id', verifyToken, auditLog('webhook.delete', { targetType: 'webhook', targetParam: 'id' }), verifyHR, async (req, res) => {
+  try {
+    const db = getDB();
+    const webhook = await findOwnWebhook(db, req.user, req.params.id);
+    if (!webhook) return res.status(404).json({ message: 'Webhook not found' });
+
+    await db.collection('webhooks').deleteOne({ _id: webhook._id });
+    const now = new Date();
+    await db.collection('webhookDeliveries').updateMany(
+      { webhookId: webhook._id, status: 'pending' },
+      { $set: { status: 'failed', lastError: 'Webhook deleted', nextAttemptAt: null, updatedAt: now, completedAt: now } }
+    );
+
+    return res.json({ message: 'Webhook deleted' });
+  } catch (err) {
+    console.error('Delete webhook error:', err);
+    return res.status(500).json({ message: 'Failed to delete webhook', error: err.message });
+  }
+});
+
+/**
+ * POST /webhooks/:id/rotate-secret
+ * HR-only: replace the signing secret; the new secret is returned once
+ */
+router.post('/:id/rotate-secret', verifyToken, auditLog('webhook.rotate_secret', { targetType: 'webhook', targetParam: 'id' }), verifyHR, async (req, res) => {
+  try {
+    const db = getDB();
+    const webhook = await findOwnWebhook(db, req.user, req.params.id);
+    if (!webhook) return res.status(404).json({ message: 'Webhook not found' });
+
+    const secret = generateSecret();
+    await db.collection('webhooks').updateOne({ _id: webhook._id }, { $set: { secret, updatedAt: new Date() } });
+
+    return res.json({ message: 'Webhook secret rotated', secret });
+  } catch (err) {
+    console.error('Rotate webhook secret error:', err);
+    return res.status(500).json({ message: 'Failed to rotate secret', error: err.message });
+  }
+});
+
+/**
+ * POST /webhooks/:id/test
+ * HR-only: queue a `webhook.test` delivery to check the endpoint and signature handling
+ */
+router.post('/:id/test', verifyToken, verifyHR, async (req, res) => {
+  try {
+    const db = getDB();
+    const webhook = await findOwnWebhook(db, req.user, req.params.id);
+    if (!webhook) return res.status(404).json({ message: 'Webhook not found' });
+
+    const delivery = await createDelivery(db, webhook, {
+      type: 'webhook.test',
+      data: { webhookId: webhook._id, message: 'Test delivery from AssetVerse' },
+    });
+    runDueDeliveries(db).catch((err) => console.error('Webhook worker error:', err));
+
+    return res.status(202).json({ message: 'Test delivery queued', deliveryId: delivery._id });
+  } catch (err) {
+    console.error('Test webhook error:', err);
+    return res.status(500).json({ message: 'Failed to queue test delivery', error: err.message });
+  }
+});
+
+/**
+ * GET /webhooks/:id/deliveries
+ * HR-only: delivery log of one endpoint, newest first
+ * Query: page, limit, status (pending|succeeded|failed), eventType
+ */
+router.get('/:id/deliveries', verifyToken, verifyHR, async (req, res) => {
+  try {
+    const db = getDB();
+    const webhook = await findOwnWebhook(db, req.user, req.params.id);
+    if (!webhook) return res.status(404).json({ message: 'Webhook not found' });
+
+    const page = Math.max(1, parseInt(req.query.page || '1', 10));
+    const limit = Math.max(1, parseInt(req.query.limit || '10', 10));
+    const skip = (page - 1) * limit;
+
+    const filter = { webhookId: webhook._id };
+    if (req.query.status) {
+      if (!DELIVERY_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ message: `status must be one of: ${DELIVERY_STATUSES.join(', ')}` });
+      }
+      filter.status = req.query.status;
+    }
+    if (req.query.eventType) filter.eventType = req.query.eventType;
+
+    const total = await db.collection('webhookDeliveries').countDocuments(filter);
+    const items = await db.collection('webhookDeliveries')
+      // response bodies were stored by older versions; never hand them out
+      .find(filter, { projection: { 'attemptLog.responseBody': 0 } })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .toArray();
+
+    return res.json({
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      items,
+    });
+  } catch (err) {
+    console.error('List webhook deliveries error:', err);
+    return res.status(500).json({ message: 'Failed to fetch deliveries', error: err.message });
+  }
+});
+
+/**
+ * POST /webhooks/:id/deliveries/:deliveryId/redeliver
+ * HR-only: send a delivery again as a new delivery with the same event id and payload
+ */
+router.post('/:id/deliveries/:deliveryId/redeliver', verifyToken, auditLog('webhook.redeliver', { targetType: 'webhookDelivery', targetParam: 'deliveryId' }), verifyHR, async (req, res) => {
+  try {
+    const db = getDB();
+    const webhook = await findOwnWebhook(db, req.user, req.params.id);
+    if (!webhook) return res.status(404).json({ message: 'Webhook not found' });
+
+    const { deliveryId } = req.params;
+    if (!ObjectId.isValid(deliveryId)) return res.status(400).json({ message: 'Invalid delivery id' });
+    const delivery = await db.collection('webhookDeliveries').findOne({ _id: new ObjectId(deliveryId), webhookId: webhook._id });
+    if (!delivery) return res.status(404).json({ message: 'Delivery not found' });
+    if (delivery.status === 'pending') {
+      return res.status(400).json({ message: 'Delivery is still pending' });
+    }
+
+    const copy = await redeliver(db, delivery);
+    return res.status(202).json({ message: 'Redelivery queued', deliveryId: copy._id });
+  } catch (err) {
+    console.error('Redeliver webhook error:', err);
+    return res.status(500).json({ message: 'Failed to redeliver', error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,81 @@
+// src/utils/apiKeys.js
+const crypto = require('crypto');
+const { hashToken } = require('./sessions');
+
+/**
+ * Personal API keys for server-to-server access.
+ * A key looks like `av_<prefix>_<secret>`; only its sha256 hash is stored (apiKeys.keyHash),
+ * the prefix is kept in clear so HR can tell keys apart in the list.
+ * Keys act as the HR user who created them, limited to their scopes (see verifyTokenOrApiKey).
+ */
+
+const API_KEY_SCOPES = [
+  'assets:read',
+  'assets:write',
+  'requests:read',
+  'requests:write',
+  'employees:read',
+  'employees:write',
+  'analytics:read',
+];
+
+const API_KEY_PREFIX = 'av_';
+const MAX_ACTIVE_KEYS = 20;
+// lastUsedAt is refreshed at most once per minute per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+function generateApiKey() {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const secret = crypto.randomBytes(24).toString('base64url');
+  const key = `${API_KEY_PREFIX}${prefix}_${secret}`;
+  return { key, keyPrefix: `${API_KEY_PREFIX}${prefix}`, keyHash: hashToken(key) };
+}
+
+function isApiKey(value) {
+  return typeof value === 'string' && value.startsWith(API_KEY_PREFIX);
+}
+
+/**
+ * Validate requested scopes. Returns an error message or null.
+ */
+function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) return 'scopes must be a non-empty array';
+  const unknown = scopes.filter((scope) => !API_KEY_SCOPES.includes(scope));
+  if (unknown.length) return `Unknown scopes: ${unknown.join(', ')}`;
+  return null;
+}
+
+/**
+ * Find the active (not revoked, not expired) key for a presented key string, or null.
+ */
+async function findActiveApiKey(db, key) {
+  if (!isApiKey(key)) return null;
+  const apiKey = await db.collection('apiKeys').findOne({ keyHash: hashToken(key), revokedAt: null });
+  if (!apiKey) return null;
+  if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) return null;
+  return apiKey;
+}
+
+// best-effort usage stamp; never fails the request
+async function touchApiKey(db, apiKey, ip) {
+  const now = new Date();
+  if (apiKey.lastUsedAt && now - apiKey.lastUsedAt < LAST_USED_RESOLUTION_MS) return;
+  try {
+    await db.collection('apiKeys').updateOne(
+      { _id: apiKey._id },
+      { $set: { lastUsedAt: now, lastUsedIp: ip || null } }
+    );
+  } catch (err) {
+    console.error('API key usage update error:', err);
+  }
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  MAX_ACTIVE_KEYS,
+  generateApiKey,
+  isApiKey,
+  validateScopes,
+  findActiveApiKey,
+  touchApiKey,
+};
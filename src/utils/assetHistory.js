@@ -0,0 +1,45 @@
+// src/utils/assetHistory.js
+const { ObjectId } = require('mongodb');
+
+/**
+ * Append-only lifecycle log per asset (collection `assetEvents`). Entries are never updated or deleted.
+ * Event types:
+ *   created, updated, deleted, quantity_changed, restocked,
+ *   requested, request_changes_requested, request_updated, request_rejected, request_cancelled,
+ *   assigned, return_requested, returned,
+ *   unit_added, unit_updated, unit_removed
+ */
+
+// returns { field: { from, to } } for the fields that differ
+function diffFields(before, after, fields) {
+  const changes = {};
+  for (const field of fields) {
+    if (!(field in after)) continue;
+    const from = before[field] === undefined ? null : before[field];
+    const to = after[field] === undefined ? null : after[field];
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[field] = { from, to };
+  }
+  return changes;
+}
+
+/**
+ * Record one event. Pass the transaction session when called inside a transaction
+ * so the event commits (or rolls back) together with the change it describes.
+ */
+async function recordAssetEvent(db, { assetId, type, actor = null, hrEmail = null, companyName = null, details = {}, changes = null }, session) {
+  return db.collection('assetEvents').insertOne(
+    {
+      assetId: new ObjectId(assetId),
+      type,
+      actor,
+      hrEmail,
+      companyName,
+      details,
+      changes,
+      at: new Date(),
+    },
+    { session }
+  );
+}
+
+module.exports = { diffFields, recordAssetEvent };
@@ -0,0 +1,303 @@
+// src/utils/assetImport.js
+const { parseCsv } = require('./csv');
+const { normalizeUnitInput, syncUnitCounts } = require('./assetUnits');
+const { validateReorderThreshold } = require('./stockAlerts');
+const { recordAssetEvent } = require('./assetHistory');
+
+/**
+ * Bulk asset import from CSV (POST /assets/import).
+ *
+ * Columns (header row, case-insensitive, any order): productName (required), productType,
+ * productQuantity, productImage, reorderThreshold, assetTag, serialNumber, purchaseDate.
+ *
+ * - row without assetTag: creates the asset or updates the HR's asset with the same productName
+ *   (case-insensitive); productQuantity works like PUT /assets/:id
+ * - row with assetTag: one unit of a unit-tracked asset, upserted by assetTag; the asset named in
+ *   productName is created with unit tracking when it doesn't exist yet
+ *
+ * Rows are validated with the same rules as POST /assets. Either every row is applied (one transaction)
+ * or none is and the per-row errors are returned.
+ */
+
+const PRODUCT_TYPES = ['Returnable', 'Non-returnable'];
+const IMPORT_COLUMNS = ['productName', 'productType', 'productQuantity', 'productImage', 'reorderThreshold', 'assetTag', 'serialNumber', 'purchaseDate'];
+const MAX_IMPORT_ROWS = 1000;
+
+// case-insensitive productName match within the HR's assets
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+/**
+ * Parse CSV text into { rows: [{ line, data }] } keyed by IMPORT_COLUMNS, or { error }.
+ */
+function parseImportCsv(text) {
+  let parsed;
+  try {
+    parsed = parseCsv(text);
+  } catch (err) {
+    return { error: err.message };
+  }
+  if (parsed.length < 2) return { error: 'CSV must have a header row and at least one data row' };
+  if (parsed.length - 1 > MAX_IMPORT_ROWS) return { error: `At most ${MAX_IMPORT_ROWS} rows per import` };
+
+  const byLowerName = Object.fromEntries(IMPORT_COLUMNS.map((column) => [column.toLowerCase(), column]));
+  const header = parsed[0].values.map((name) => byLowerName[name.trim().toLowerCase()] || null);
+  const unknown = parsed[0].values.filter((name, index) => name.trim() && !header[index]);
+  if (unknown.length) return { error: `Unknown columns: ${unknown.join(', ')}` };
+  if (!header.includes('productName')) return { error: 'productName column is required' };
+
+  const rows = parsed.slice(1).map(({ line, values }) => {
+    const data = {};
+    header.forEach((column, index) => {
+      if (column && values[index] !== undefined && values[index].trim() !== '') data[column] = values[index].trim();
+    });
+    return { line, data };
+  });
+  return { rows };
+}
+
+// field-level checks shared with POST /assets; returns { input, errors }
+function validateImportRow(data) {
+  const errors = [];
+  const input = { productName: data.productName || null };
+
+  if (!input.productName) errors.push('productName is required');
+
+  if (data.productType !== undefined) {
+    if (!PRODUCT_TYPES.includes(data.productType)) errors.push('productType must be "Returnable" or "Non-returnable"');
+    input.productType = data.productType;
+  }
+  if (data.productImage !== undefined) input.productImage = data.productImage;
+
+  if (data.productQuantity !== undefined) {
+    const qty = Number(data.productQuantity);
+    if (!Number.isInteger(qty) || qty < 0) errors.push('productQuantity must be a non-negative integer');
+    input.productQuantity = qty;
+  }
+
+  if (data.reorderThreshold !== undefined) {
+    const thresholdError = validateReorderThreshold(data.reorderThreshold);
+    if (thresholdError) errors.push(thresholdError);
+    input.reorderThreshold = Number(data.reorderThreshold);
+  }
+
+  if (data.assetTag !== undefined) {
+    if (input.productQuantity !== undefined) errors.push('productQuantity must be empty on unit rows (rows with assetTag)');
+    // empty serialNumber/purchaseDate cells leave an existing unit's values alone
+    const unitBody = { assetTag: data.assetTag };
+    if (data.serialNumber !== undefined) unitBody.serialNumber = data.serialNumber;
+    if (data.purchaseDate !== undefined) unitBody.purchaseDate = data.purchaseDate;
+    const { unit, error } = normalizeUnitInput(unitBody);
+    if (error) errors.push(error);
+    input.unit = unit;
+    input.unitUpdate = normalizeUnitInput(unitBody, { partial: true }).unit;
+    delete input.unitUpdate.assetTag;
+  } else if (data.serialNumber !== undefined || data.purchaseDate !== undefined) {
+    errors.push('serialNumber and purchaseDate require an assetTag');
+  }
+
+  return { input, errors };
+}
+
+/**
+ * Validate all rows against each other and the current data, and decide what each row does.
+ * Returns { plan: [{ line, action, input, asset, unit }], errors: [{ line, errors }] }.
+ * Actions: create, update, unit_create, unit_update.
+ */
+async function planImport(db, hr, rows, session) {
+  const plan = [];
+  const errors = [];
+  const seenNames = new Map(); // lowercased productName -> 'quantity' | 'units'
+  const seenTags = new Set();
+  const seenSerials = new Set();
+  const assetsByName = new Map();
+
+  const findAsset = async (name) => {
+    const key = name.toLowerCase();
+    if (!assetsByName.has(key)) {
+      const asset = await db.collection('assets').findOne(
+        { hrEmail: hr.email, productName: name },
+        { collation: NAME_COLLATION, session }
+      );
+      assetsByName.set(key, asset);
+    }
+    return assetsByName.get(key);
+  };
+
+  for (const { line, data } of rows) {
+    const { input, errors: rowErrors } = validateImportRow(data);
+    if (rowErrors.length) {
+      errors.push({ line, errors: rowErrors });
+      continue;
+    }
+
+    const nameKey = input.productName.toLowerCase();
+    const kind = input.unit ? 'units' : 'quantity';
+    const asset = await findAsset(input.productName);
+
+    if (kind === 'quantity') {
+      if (seenNames.has(nameKey)) rowErrors.push(`productName "${input.productName}" appears more than once`);
+      if (asset && asset.unitTracking && input.productQuantity !== undefined) {
+        rowErrors.push('productQuantity is derived from units for unit-tracked assets; import unit rows instead');
+      }
+      if (!asset && input.productQuantity === undefined) rowErrors.push('productQuantity is required for new assets');
+    } else {
+      if (seenNames.get(nameKey) === 'quantity') rowErrors.push(`productName "${input.productName}" is also imported as a quantity row`);
+      if (asset && !asset.unitTracking) rowErrors.push(`Asset "${asset.productName}" is not unit-tracked`);
+
+      const { assetTag, serialNumber } = input.unit;
+      if (seenTags.has(assetTag)) rowErrors.push(`assetTag "${assetTag}" appears more than once`);
+      if (serialNumber && seenSerials.has(serialNumber)) rowErrors.push(`serialNumber "${serialNumber}" appears more than once`);
+      seenTags.add(assetTag);
+      if (serialNumber) seenSerials.add(serialNumber);
+    }
+    // the first row of a new asset creates it
+    if (!asset && !seenNames.has(nameKey) && !input.productType) rowErrors.push('productType is required for new assets');
+    if (!seenNames.has(nameKey)) seenNames.set(nameKey, kind);
+
+    let unit = null;
+    if (!rowErrors.length && kind === 'units') {
+      unit = await db.collection('assetUnits').findOne({ hrEmail: hr.email, assetTag: input.unit.assetTag }, { session });
+      if (unit && (!asset || String(unit.assetId) !== String(asset._id))) {
+        rowErrors.push(`assetTag "${input.unit.assetTag}" belongs to another asset`);
+      }
+      if (input.unit.serialNumber) {
+        const bySerial = await db.collection('assetUnits').findOne(
+          { hrEmail: hr.email, serialNumber: input.unit.serialNumber },
+          { session }
+        );
+        if (bySerial && (!unit || String(bySerial._id) !== String(unit._id))) {
+          rowErrors.push(`serialNumber "${input.unit.serialNumber}" is already used by another unit`);
+        }
+      }
+    }
+
+    if (rowErrors.length) {
+      errors.push({ line, errors: rowErrors });
+      continue;
+    }
+
+    let action;
+    if (kind === 'quantity') action = asset ? 'update' : 'create';
+    else action = unit ? 'unit_update' : 'unit_create';
+    plan.push({ line, action, input, asset, unit });
+  }
+
+  return { plan, errors };
+}
+
+/**
+ * Apply a plan inside the caller's transaction. Returns the ids of every touched asset.
+ */
+async function applyImport(db, hr, plan, session) {
+  const now = new Date();
+  const touched = new Map(); // lowercased productName -> assetId
+  const unitTracked = new Set();
+
+  for (const { input, action, asset, unit } of plan) {
+    const nameKey = input.productName.toLowerCase();
+    let assetId = touched.get(nameKey) || (asset && asset._id);
+
+    if (!assetId) {
+      // new asset (quantity row, or first unit row of a new unit-tracked asset)
+      const qty = input.unit ? 0 : input.productQuantity;
+      const assetDoc = {
+        productName: input.productName,
+        productImage: input.productImage || null,
+        productType: input.productType,
+        productQuantity: qty,
+        availableQuantity: qty,
+        dateAdded: now,
+        hrEmail: hr.email,
+        companyName: hr.companyName || null,
+        unitTracking: !!input.unit,
+        reorderThreshold: input.reorderThreshold === undefined ? null : input.reorderThreshold,
+      };
+      const result = await db.collection('assets').insertOne(assetDoc, { session });
+      assetId = result.insertedId;
+      await recordAssetEvent(db, {
+        assetId,
+        type: 'created',
+        actor: hr.email,
+        hrEmail: hr.email,
+        companyName: assetDoc.companyName,
+        details: { productName: assetDoc.productName, productType: assetDoc.productType, productQuantity: qty, source: 'import' },
+      }, session);
+    } else if (action === 'update' || (action.startsWith('unit_') && !touched.has(nameKey))) {
+      // update descriptive fields (and quantity like PUT /assets/:id) of an existing asset once
+      const updates = {};
+      for (const key of ['productType', 'productImage', 'reorderThreshold']) {
+        if (input[key] !== undefined && input[key] !== asset[key]) updates[key] = input[key];
+      }
+      if (input.productQuantity !== undefined && input.productQuantity !== asset.productQuantity) {
+        const diff = input.productQuantity - asset.productQuantity;
+        updates.productQuantity = input.productQuantity;
+        updates.availableQuantity = Math.max(0, (asset.availableQuantity || 0) + diff);
+      }
+      if (Object.keys(updates).length) {
+        await db.collection('assets').updateOne({ _id: asset._id }, { $set: { ...updates, updatedAt: now } }, { session });
+        const changes = {};
+        for (const [key, to] of Object.entries(updates)) changes[key] = { from: asset[key] === undefined ? null : asset[key], to };
+        await recordAssetEvent(db, {
+          assetId: asset._id,
+          type: updates.productQuantity !== undefined ? 'quantity_changed' : 'updated',
+          actor: hr.email,
+          hrEmail: hr.email,
+          companyName: asset.companyName || null,
+          details: { reason: 'import' },
+          changes,
+        }, session);
+      }
+    }
+    touched.set(nameKey, assetId);
+
+    if (action === 'unit_create') {
+      const result = await db.collection('assetUnits').insertOne(
+        { ...input.unit, assetId, hrEmail: hr.email, assignedTo: null, createdAt: now, updatedAt: now },
+        { session }
+      );
+      await recordAssetEvent(db, {
+        assetId,
+        type: 'unit_added',
+        actor: hr.email,
+        hrEmail: hr.email,
+        companyName: hr.companyName || null,
+        details: { unitId: result.insertedId, assetTag: input.unit.assetTag, serialNumber: input.unit.serialNumber || null, source: 'import' },
+      }, session);
+      unitTracked.add(String(assetId));
+    } else if (action === 'unit_update') {
+      // status is managed by assignments/returns; the import only updates serialNumber/purchaseDate
+      await db.collection('assetUnits').updateOne(
+        { _id: unit._id },
+        { $set: { ...input.unitUpdate, updatedAt: now } },
+        { session }
+      );
+      await recordAssetEvent(db, {
+        assetId,
+        type: 'unit_updated',
+        actor: hr.email,
+        hrEmail: hr.email,
+        companyName: hr.companyName || null,
+        details: { unitId: unit._id, assetTag: unit.assetTag, source: 'import' },
+      }, session);
+    }
+  }
+
+  for (const assetId of unitTracked) await syncUnitCounts(db, assetId, session);
+
+  return [...new Set(touched.values())];
+}
+
+function summarizePlan(plan) {
+  const summary = { create: 0, update: 0, unit_create: 0, unit_update: 0 };
+  for (const { action } of plan) summary[action] += 1;
+  return summary;
+}
+
+module.exports = {
+  IMPORT_COLUMNS,
+  MAX_IMPORT_ROWS,
+  parseImportCsv,
+  planImport,
+  applyImport,
+  summarizePlan,
+};
@@ -0,0 +1,125 @@
+// src/utils/assetReturns.js
+const { ObjectId } = require('mongodb');
+const { releaseUnit } = require('./assetUnits');
+const { recordAssetEvent } = require('./assetHistory');
+const { evaluateStockAlert } = require('./stockAlerts');
+const { publish } = require('./eventBus');
+
+// Conditions an item can come back in. Only 'good' items go back into stock.
+const RETURN_CONDITIONS = ['good', 'damaged', 'lost'];
+const USABLE_CONDITIONS = ['good'];
+
+// assignedAssets statuses that still count as "held by the employee"
+const ACTIVE_ASSIGNMENT_STATUSES = ['assigned', 'return-requested'];
+
+/**
+ * Close a single assignedAssets record as returned (must run inside a transaction session).
+ *  - marks the assignment 'returned' with returnDate, condition and notes
+ *  - increments assets.availableQuantity only when the item came back usable
+ *    (unit-tracked: unit goes back to available / maintenance / lost by condition)
+ *  - moves the matching approved request to 'returned'
+ *  - appends a 'returned' asset history event
+ *
+ * options: { condition, notes, processedBy, session }
+ * Returns { restocked, notifications }: what happened to stock, and low-stock notifications to publish after commit.
+ */
+async function completeReturn(db, assigned, { condition, notes = null, processedBy = null, session } = {}) {
+  const now = new Date();
+  const restocked = USABLE_CONDITIONS.includes(condition);
+
+  await db.collection('assignedAssets').updateOne(
+    { _id: assigned._id },
+    {
+      $set: {
+        status: 'returned',
+        returnDate: now,
+        returnCondition: condition,
+        returnNotes: notes,
+        returnProcessedBy: processedBy,
+      }
+    },
+    { session }
+  );
+
+  let unitStatus = null;
+  if (assigned.unitId) {
+    // unit-tracked: the unit status follows the condition and counts are re-derived
+    unitStatus = await releaseUnit(db, assigned, condition, session);
+  } else if (assigned.assetId && restocked) {
+    await db.collection('assets').updateOne(
+      { _id: new ObjectId(assigned.assetId) },
+      { $inc: { availableQuantity: 1 } },
+      { session }
+    );
+  }
+
+  // prefer the exact request this assignment came from; older rows have no requestId
+  let requestFilter = null;
+  if (assigned.requestId) {
+    requestFilter = { _id: new ObjectId(assigned.requestId), requestStatus: 'approved' };
+  } else if (assigned.assetId) {
+    requestFilter = { assetId: new ObjectId(assigned.assetId), requesterEmail: assigned.employeeEmail, requestStatus: 'approved' };
+  }
+
+  if (requestFilter) {
+    await db.collection('requests').updateOne(
+      requestFilter,
+      { $set: { requestStatus: 'returned', returnDate: now } },
+      { session }
+    );
+  }
+
+  let notifications = [];
+  if (assigned.assetId) {
+    ({ notifications } = await evaluateStockAlert(db, assigned.assetId, session));
+
+    await recordAssetEvent(db, {
+      assetId: assigned.assetId,
+      type: 'returned',
+      actor: processedBy,
+      hrEmail: assigned.hrEmail,
+      companyName: assigned.companyName || null,
+      details: {
+        assignedId: assigned._id,
+        employeeEmail: assigned.employeeEmail,
+        employeeName: assigned.employeeName,
+        assignmentDate: assigned.assignmentDate,
+        condition,
+        notes,
+        unitId: assigned.unitId || null,
+        unitStatus,
+        availableDelta: restocked ? 1 : 0,
+      },
+    }, session);
+  }
+
+  return { restocked, notifications };
+}
+
+/**
+ * Publish 'asset.returned' on the event bus (call after the return transaction committed).
+ */
+function publishReturned(assigned, { condition, restocked, processedBy = null }) {
+  return publish('asset.returned', {
+    hrEmail: assigned.hrEmail,
+    recipients: [assigned.employeeEmail, assigned.hrEmail],
+    data: {
+      assignedId: assigned._id,
+      assetId: assigned.assetId,
+      assetName: assigned.assetName,
+      employeeEmail: assigned.employeeEmail,
+      unitId: assigned.unitId || null,
+      condition,
+      restocked,
+      processedBy,
+    },
+  });
+}
+
+module.exports = {
+  RETURN_CONDITIONS,
+  USABLE_CONDITIONS,
+  ACTIVE_ASSIGNMENT_STATUSES,
+  completeReturn,
+  publishReturned,
+};
@@ -0,0 +1,120 @@
+// src/utils/assetUnits.js
+const { ObjectId } = require('mongodb');
+
+/**
+ * Optional per-unit tracking for assets (collection `assetUnits`).
+ * An asset with unitTracking: true derives its counters from its units:
+ *   productQuantity   = units still owned (available, assigned, maintenance)
+ *   availableQuantity = units with status 'available'
+ * The counters are still stored on the asset so listing/filtering code keeps working.
+ */
+const UNIT_STATUSES = ['available', 'assigned', 'maintenance', 'retired', 'lost'];
+const OWNED_UNIT_STATUSES = ['available', 'assigned', 'maintenance'];
+
+// unit status after a return, by reported condition
+const RETURN_UNIT_STATUS = {
+  good: 'available',
+  damaged: 'maintenance',
+  lost: 'lost',
+};
+
+async function syncUnitCounts(db, assetId, session) {
+  const _id = new ObjectId(assetId);
+  const unitsColl = db.collection('assetUnits');
+  const productQuantity = await unitsColl.countDocuments(
+    { assetId: _id, status: { $in: OWNED_UNIT_STATUSES } },
+    { session }
+  );
+  const availableQuantity = await unitsColl.countDocuments(
+    { assetId: _id, status: 'available' },
+    { session }
+  );
+  await db.collection('assets').updateOne(
+    { _id },
+    { $set: { productQuantity, availableQuantity, updatedAt: new Date() } },
+    { session }
+  );
+  return { productQuantity, availableQuantity };
+}
+
+/**
+ * Reserve a unit of the asset for assignment: the requested unitId, or the oldest available unit.
+ * Throws Error with a client-facing message when no matching unit is available.
+ */
+async function claimUnit(db, asset, unitId, session) {
+  const filter = { assetId: asset._id, status: 'available' };
+  if (unitId) {
+    if (!ObjectId.isValid(unitId)) throw new Error('Invalid unit id');
+    filter._id = new ObjectId(unitId);
+  }
+
+  const unit = await db.collection('assetUnits').findOneAndUpdate(
+    filter,
+    { $set: { status: 'assigned', updatedAt: new Date() } },
+    { sort: { purchaseDate: 1, createdAt: 1 }, returnDocument: 'after', session }
+  );
+  if (!unit) throw new Error(unitId ? 'Unit not available' : 'Asset not available');
+
+  await syncUnitCounts(db, asset._id, session);
+  return unit;
+}
+
+/**
+ * Put a unit back after a return; its status follows the reported condition.
+ */
+async function releaseUnit(db, assigned, condition, session) {
+  const status = RETURN_UNIT_STATUS[condition] || 'maintenance';
+  await db.collection('assetUnits').updateOne(
+    { _id: new ObjectId(assigned.unitId) },
+    { $set: { status, assignedTo: null, updatedAt: new Date() } },
+    { session }
+  );
+  await syncUnitCounts(db, assigned.assetId, session);
+  return status;
+}
+
+/**
+ * Validate and normalize unit input (POST/PUT units). Returns { unit } or { error }.
+ * partial=true only validates the fields present (updates).
+ */
+function normalizeUnitInput(body, { partial = false } = {}) {
+  const unit = {};
+
+  if ('serialNumber' in body) unit.serialNumber = body.serialNumber ? String(body.serialNumber).trim() : null;
+  if ('assetTag' in body) unit.assetTag = body.assetTag ? String(body.assetTag).trim() : null;
+
+  if ('purchaseDate' in body) {
+    if (body.purchaseDate) {
+      const date = new Date(body.purchaseDate);
+      if (Number.isNaN(date.getTime())) return { error: 'purchaseDate must be a valid date' };
+      unit.purchaseDate = date;
+    } else {
+      unit.purchaseDate = null;
+    }
+  }
+
+  if ('status' in body) {
+    // 'assigned' is only set through approval / direct assignment
+    if (!UNIT_STATUSES.includes(body.status) || body.status === 'assigned') {
+      return { error: 'status must be one of: available, maintenance, retired, lost' };
+    }
+    unit.status = body.status;
+  }
+
+  if (!partial) {
+    if (!unit.serialNumber && !unit.assetTag) return { error: 'serialNumber or assetTag is required' };
+    unit.status = unit.status || 'available';
+    if (!('purchaseDate' in unit)) unit.purchaseDate = null;
+  }
+
+  return { unit };
+}
+
+module.exports = {
+  UNIT_STATUSES,
+  OWNED_UNIT_STATUSES,
+  syncUnitCounts,
+  claimUnit,
+  releaseUnit,
+  normalizeUnitInput,
+};
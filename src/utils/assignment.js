@@ -0,0 +1,141 @@
+// src/utils/assignment.js
+const { ObjectId } = require('mongodb');
+const { claimUnit } = require('./assetUnits');
+const { recordAssetEvent } = require('./assetHistory');
+const { evaluateStockAlert } = require('./stockAlerts');
+const { effectiveEmployeeLimit } = require('./subscriptions');
+
+/**
+ * Assign one unit of an asset to an employee. Must run inside a transaction session.
+ * Shared by request approval and HR direct assignment:
+ *  - ensure asset availableQuantity > 0 and decrement it by 1
+ *    (unit-tracked assets: claim the given unitId or the oldest available unit instead)
+ *  - create assignedAssets entry (recording the unit, if any) and an 'assigned' history event
+ *  - if employeeAffiliation doesn't exist, ensure HR.packageLimit allows a new employee,
+ *    then create the affiliation and increment HR.currentEmployees
+ *
+ * params: { assetId, employeeEmail, employeeName, hr, requestId?, companyName?, unitId?, session }
+ * Throws Error with a client-facing message on failure (caller aborts the transaction).
+ * Returns { assignedId, asset, unit, affiliationCreated, notifications } (notifications: publish after commit).
+ */
+async function assignAsset(db, { assetId, employeeEmail, employeeName, hr, requestId = null, companyName, unitId = null, session }) {
+  const assetsColl = db.collection('assets');
+  const assignedColl = db.collection('assignedAssets');
+  const affColl = db.collection('employeeAffiliations');
+  const usersColl = db.collection('users');
+
+  // 1) Ensure asset has availableQuantity > 0 and decrement it
+  const asset = await assetsColl.findOne({ _id: new ObjectId(assetId) }, { session });
+  if (!asset) throw new Error('Associated asset not found');
+  if (asset.hrEmail !== hr.email) throw new Error('Not authorized for this asset');
+
+  if ((asset.availableQuantity || 0) <= 0) throw new Error('Asset not available');
+
+  let unit = null;
+  if (asset.unitTracking) {
+    // counts are re-derived from the units
+    unit = await claimUnit(db, asset, unitId, session);
+  } else {
+    if (unitId) throw new Error('Asset does not use unit tracking');
+    const updateAssetRes = await assetsColl.updateOne(
+      { _id: asset._id, availableQuantity: { $gt: 0 } },
+      { $inc: { availableQuantity: -1 } },
+      { session }
+    );
+    if (updateAssetRes.matchedCount === 0) throw new Error('Failed to decrement asset (concurrent update?)');
+  }
+
+  const resolvedCompany = companyName || asset.companyName || hr.companyName || null;
+
+  // 2) Create assignedAssets entry
+  const assignedDoc = {
+    assetId: asset._id,
+    assetName: asset.productName,
+    assetImage: asset.productImage || null,
+    assetType: asset.productType,
+    requestId: requestId ? new ObjectId(requestId) : null,
+    unitId: unit ? unit._id : null,
+    serialNumber: unit ? unit.serialNumber || null : null,
+    assetTag: unit ? unit.assetTag || null : null,
+    employeeEmail,
+    employeeName,
+    hrEmail: hr.email,
+    companyName: resolvedCompany,
+    assignedBy: hr.email,
+    assignmentDate: new Date(),
+    returnDate: null,
+    status: 'assigned'
+  };
+  const assignedRes = await assignedColl.insertOne(assignedDoc, { session });
+
+  if (unit) {
+    await db.collection('assetUnits').updateOne(
+      { _id: unit._id },
+      { $set: { assignedTo: assignedRes.insertedId } },
+      { session }
+    );
+  }
+
+  await recordAssetEvent(db, {
+    assetId: asset._id,
+    type: 'assigned',
+    actor: hr.email,
+    hrEmail: asset.hrEmail,
+    companyName: resolvedCompany,
+    details: {
+      assignedId: assignedRes.insertedId,
+      employeeEmail,
+      employeeName,
+      requestId: assignedDoc.requestId,
+      unitId: assignedDoc.unitId,
+      serialNumber: assignedDoc.serialNumber,
+      assetTag: assignedDoc.assetTag,
+      availableDelta: -1,
+    },
+  }, session);
+
+  // raise a low-stock alert for the HR if this assignment crossed the reorder threshold
+  const { notifications } = await evaluateStockAlert(db, asset._id, session);
+
+  // 3) Create affiliation if needed, and enforce packageLimit
+  const existingAff = await affColl.findOne(
+    { employeeEmail, hrEmail: hr.email },
+    { session }
+  );
+
+  let affiliationCreated = false;
+  if (!existingAff) {
+    // check the HR's employee limit (subscription-aware: lapsed subscriptions fall back to the base plan)
+    const hrUser = await usersColl.findOne({ email: hr.email }, { session });
+    if (!hrUser) throw new Error('HR user not found');
+    const packageLimit = effectiveEmployeeLimit(hrUser);
+    const currentEmployees = Number(hrUser.currentEmployees || 0);
+
+    if (currentEmployees + 1 > packageLimit) {
+      throw new Error(`Package employee limit reached (${currentEmployees}/${packageLimit}); cannot create new affiliation. Please upgrade package.`);
+    }
+
+    const affDoc = {
+      employeeEmail,
+      employeeName,
+      hrEmail: hr.email,
+      companyName: resolvedCompany,
+      companyLogo: hrUser.companyLogo || null,
+      affiliationDate: new Date(),
+      status: 'active'
+    };
+    await affColl.insertOne(affDoc, { session });
+
+    // increment hr currentEmployees
+    await usersColl.updateOne(
+      { email: hr.email },
+      { $inc: { currentEmployees: 1 } },
+      { session }
+    );
+    affiliationCreated = true;
+  }
+
+  return { assignedId: assignedRes.insertedId, asset, unit, affiliationCreated, notifications };
+}
+
+module.exports = { assignAsset };
@@ -0,0 +1,34 @@
+// src/utils/audit.js
+const { getDB } = require('../config/db');
+
+/**
+ * Company audit log (collection `auditLogs`) for privileged actions.
+ * Entry: { action, actor: { email, role }, companyName, hrEmail, ip, userAgent, method, path,
+ *          target: { type, id }, outcome: success|denied|failure, statusCode, details, at }
+ */
+
+function outcomeFor(statusCode) {
+  if (statusCode < 400) return 'success';
+  if (statusCode === 401 || statusCode === 403) return 'denied';
+  return 'failure';
+}
+
+async function writeAuditEntry(entry) {
+  return getDB().collection('auditLogs').insertOne({
+    action: entry.action,
+    actor: entry.actor || null,
+    companyName: entry.companyName || null,
+    hrEmail: entry.hrEmail || null,
+    ip: entry.ip || null,
+    userAgent: entry.userAgent || null,
+    method: entry.method || null,
+    path: entry.path || null,
+    target: entry.target || null,
+    outcome: entry.outcome || 'success',
+    statusCode: entry.statusCode || null,
+    details: entry.details || null,
+    at: new Date(),
+  });
+}
+
+module.exports = { outcomeFor, writeAuditEntry };
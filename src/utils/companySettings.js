@@ -0,0 +1,26 @@
+// src/utils/companySettings.js
+// Per-company settings, keyed by hrEmail (the tenant key used everywhere else).
+// companyName is free text that any HR can register with, so it must not select whose settings apply.
+
+const DEFAULT_COMPANY_SETTINGS = {
+  requireHrMfa: false,
+};
+
+async function getCompanySettings(db, hrEmail) {
+  if (!hrEmail) return { ...DEFAULT_COMPANY_SETTINGS };
+  const doc = await db.collection('companySettings').findOne({ hrEmail });
+  return { ...DEFAULT_COMPANY_SETTINGS, ...(doc || {}) };
+}
+
+async function updateCompanySettings(db, hrEmail, updates, updatedBy) {
+  return db.collection('companySettings').findOneAndUpdate(
+    { hrEmail },
+    {
+      $set: { ...updates, updatedBy, updatedAt: new Date() },
+      $setOnInsert: { hrEmail, createdAt: new Date() }
+    },
+    { upsert: true, returnDocument: 'after' }
+  );
+}
+
+module.exports = { DEFAULT_COMPANY_SETTINGS, getCompanySettings, updateCompanySettings };
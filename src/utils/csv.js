@@ -0,0 +1,73 @@
+// src/utils/csv.js
+// Small CSV helpers (RFC 4180 quoting); enough for exports and imports without pulling in a dependency.
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (value._bsontype === 'ObjectId') text = value.toHexString();
+  else text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  // neutralize spreadsheet formulas in exported text (numbers are left alone)
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  if (/[",\r\n]/.test(text)) return `"${text.replace(/"/g, '""')}"`;
+  return text;
+}
+
+function toCsvRow(values) {
+  return values.map(csvValue).join(',') + '\r\n';
+}
+
+/**
+ * Parse CSV text into rows of strings. Handles quoted fields (embedded commas, quotes, newlines),
+ * CRLF/LF line endings and a leading BOM. Blank lines are skipped; each row keeps its 1-based line number.
+ * Throws Error on an unterminated quoted field.
+ */
+function parseCsv(text) {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push({ line: rowLine, values: row });
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === '\n') line++;
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) throw new Error(`Unterminated quoted field starting on line ${rowLine}`);
+  endRow();
+
+  return rows;
+}
+
+module.exports = { csvValue, toCsvRow, parseCsv };
@@ -0,0 +1,71 @@
+// src/utils/emailVerification.js
+const crypto = require('crypto');
+const { hashToken } = require('./sessions');
+const { sendMail } = require('./mailer');
+
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:5173';
+const EMAIL_VERIFICATION_TTL_HOURS = Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+
+// resend limits per address
+const RESEND_MIN_INTERVAL_SECONDS = 60;
+const RESEND_MAX_PER_HOUR = 5;
+
+/**
+ * Create a new single-use verification token for user (stored hashed) and mail the link.
+ * Older unused tokens for the same user are invalidated.
+ */
+async function issueVerification(db, user) {
+  const coll = db.collection('emailVerifications');
+  const now = new Date();
+
+  await coll.updateMany(
+    { userId: user._id, usedAt: null },
+    { $set: { usedAt: now } }
+  );
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await coll.insertOne({
+    userId: user._id,
+    email: user.email,
+    tokenHash: hashToken(token),
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000),
+    usedAt: null,
+  });
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your AssetVerse email',
+    text: `Hi ${user.name || ''},\n\nPlease confirm your email address using the link below. It expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.\n\n${CLIENT_URL}/verify-email?token=${token}`,
+  });
+}
+
+/**
+ * Returns the number of seconds the address has to wait before another resend, or 0 if allowed.
+ */
+async function resendRetryAfter(db, email) {
+  const coll = db.collection('emailVerifications');
+  const now = Date.now();
+
+  const recent = await coll
+    .find({ email, createdAt: { $gt: new Date(now - 60 * 60 * 1000) } })
+    .sort({ createdAt: 1 })
+    .toArray();
+
+  if (recent.length === 0) return 0;
+
+  const last = recent[recent.length - 1];
+  const sinceLast = (now - last.createdAt.getTime()) / 1000;
+  if (sinceLast < RESEND_MIN_INTERVAL_SECONDS) {
+    return Math.ceil(RESEND_MIN_INTERVAL_SECONDS - sinceLast);
+  }
+
+  if (recent.length >= RESEND_MAX_PER_HOUR) {
+    // wait until the oldest send in the window drops out
+    return Math.ceil((recent[0].createdAt.getTime() + 60 * 60 * 1000 - now) / 1000);
+  }
+
+  return 0;
+}
+
+module.exports = { issueVerification, resendRetryAfter };
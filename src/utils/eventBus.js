@@ -0,0 +1,39 @@
+// src/utils/eventBus.js
+const { EventEmitter } = require('events');
+
+/**
+ * Internal domain event bus. Route handlers publish what happened once it is committed;
+ * delivery channels (SSE stream, outbound webhooks) subscribe here instead of being called from every route.
+ *
+ * Event: { type, hrEmail, recipients: [email], data, at }
+ * Types: request.created, request.status_changed, asset.assigned, asset.return_requested,
+ *        asset.returned, employee.removed, notification.created, payment.completed, subscription.ended
+ */
+const bus = new EventEmitter();
+// one listener per channel plus one per open stream is expected
+bus.setMaxListeners(0);
+
+function publish(type, { hrEmail = null, recipients = [], data = {} } = {}) {
+  const event = {
+    type,
+    hrEmail: hrEmail ? String(hrEmail).toLowerCase() : null,
+    recipients: [...new Set(recipients.filter(Boolean).map((email) => String(email).toLowerCase()))],
+    data,
+    at: new Date(),
+  };
+  // listeners must not be able to break the request that published the event
+  try {
+    bus.emit('event', event);
+  } catch (err) {
+    console.error(`Event listener error (${type}):`, err);
+  }
+  return event;
+}
+
+// subscribe to every event; returns an unsubscribe function
+function subscribe(listener) {
+  bus.on('event', listener);
+  return () => bus.off('event', listener);
+}
+
+module.exports = { publish, subscribe };
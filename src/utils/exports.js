@@ -0,0 +1,73 @@
+// src/utils/exports.js
+const { toCsvRow } = require('./csv');
+
+/**
+ * Streamed data exports (GET /<collection>/export). Documents are written as they come off the
+ * cursor, so memory use does not grow with the size of the company.
+ */
+const EXPORT_FORMATS = ['csv', 'ndjson'];
+
+// read a dotted path ('returnRequest.condition') from a document
+function pick(doc, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? value : value[key]), doc);
+}
+
+/**
+ * Validate ?format. Returns { format } or { error }.
+ */
+function exportFormat(query) {
+  const format = query.format ? String(query.format).toLowerCase() : 'csv';
+  if (!EXPORT_FORMATS.includes(format)) return { error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` };
+  return { format };
+}
+
+/**
+ * Stream `cursor` to the response as CSV (columns = dotted field paths, header row first)
+ * or NDJSON (one full document per line). `name` is used for the download filename.
+ */
+async function streamExport(res, cursor, { name, format, columns }) {
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.setHeader('Content-Disposition', `attachment; filename="${name}-${stamp}.${format}"`);
+
+  if (format === 'ndjson') {
+    res.type('application/x-ndjson');
+    for await (const doc of cursor) {
+      if (res.destroyed) break; // client went away
+      if (!res.write(JSON.stringify(doc) + '\n')) await waitForDrain(res);
+    }
+    return res.end();
+  }
+
+  res.type('text/csv');
+  res.write(toCsvRow(columns));
+  for await (const doc of cursor) {
+    if (res.destroyed) break;
+    if (!res.write(toCsvRow(columns.map((column) => pick(doc, column))))) await waitForDrain(res);
+  }
+  return res.end();
+}
+
+/**
+ * Error tail for export handlers: a JSON 500 while nothing has been sent yet; once streaming has started,
+ * abort the connection so the client sees a failed download, not a truncated file.
+ */
+function exportFailed(res, err, message) {
+  if (res.headersSent) return res.destroy(err);
+  return res.status(500).json({ message, error: err.message });
+}
+
+// back-pressure: stop reading from the cursor until the client has caught up
+function waitForDrain(res) {
+  return new Promise((resolve) => {
+    if (res.destroyed) return resolve();
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+module.exports = { EXPORT_FORMATS, exportFormat, streamExport, exportFailed };
@@ -0,0 +1,212 @@
+// src/utils/invoices.js
+const PDFDocument = require('pdfkit');
+const { getClient } = require('../config/db');
+const { publicRequest } = require('./publicHttp');
+
+/**
+ * Invoices for paid payments (collection `invoices`), numbered per company (HR account) without gaps:
+ * INV-000001, INV-000002, ... The counter is `invoiceCounters` ({ _id: hrEmail, seq }).
+ *
+ * An invoice is a snapshot taken when the payment completes (company name and logo, package, amount,
+ * currency, transaction id), so renaming the company later doesn't rewrite issued invoices.
+ * The logo image is fetched once, right after the invoice is issued (attachInvoiceLogo: public hosts only,
+ * PNG/JPEG only, size-capped), and its bytes are stored on the invoice; PDF downloads never fetch anything.
+ * Refunds and disputes are shown on the PDF from the payment's current state.
+ *
+ * Payments made before invoicing existed get their invoices from backfillInvoices, run once at startup
+ * before the server accepts requests (so before any webhook can issue a newer invoice), numbered in payment order.
+ */
+
+// payment statuses that were paid at some point and therefore get an invoice
+const INVOICEABLE_STATUSES = ['completed', 'partially_refunded', 'refunded', 'disputed', 'dispute_lost'];
+const LOGO_MAX_BYTES = 1024 * 1024;
+const LOGO_TIMEOUT_MS = 3000;
+
+function formatInvoiceNumber(sequence) {
+  return `INV-${String(sequence).padStart(6, '0')}`;
+}
+
+/**
+ * Issue the invoice for a paid payment (inside the caller's transaction session), or return the existing one.
+ * Concurrent issuers conflict on the counter document, so one of the transactions retries and finds the invoice.
+ */
+async function issueInvoice(db, payment, session) {
+  const existing = await db.collection('invoices').findOne({ paymentId: payment._id }, { session });
+  if (existing) return existing;
+
+  const hrUser = await db.collection('users').findOne({ email: payment.hrEmail }, { session });
+  const counter = await db.collection('invoiceCounters').findOneAndUpdate(
+    { _id: payment.hrEmail },
+    { $inc: { seq: 1 } },
+    { upsert: true, returnDocument: 'after', session }
+  );
+
+  const invoice = {
+    hrEmail: payment.hrEmail,
+    sequence: counter.seq,
+    invoiceNumber: formatInvoiceNumber(counter.seq),
+    companyName: (hrUser && hrUser.companyName) || null,
+    companyLogo: (hrUser && hrUser.companyLogo) || null,
+    paymentId: payment._id,
+    transactionId: payment.transactionId,
+    kind: payment.kind || 'purchase',
+    packageName: payment.packageName || null,
+    employeeLimit: Number(payment.employeeLimit || 0),
+    amount: payment.amount || 0,
+    currency: payment.currency || 'usd',
+    paidAt: payment.paymentDate || null,
+    issuedAt: new Date(),
+  };
+  const result = await db.collection('invoices').insertOne(invoice, { session });
+  await db.collection('payments').updateOne(
+    { _id: payment._id },
+    { $set: { invoiceId: result.insertedId, invoiceNumber: invoice.invoiceNumber } },
+    { session }
+  );
+  return { _id: result.insertedId, ...invoice };
+}
+
+/**
+ * Startup job: issue invoices for paid payments that don't have one yet, oldest first.
+ * Returns the number of invoices issued.
+ */
+async function backfillInvoices(db) {
+  const missing = await db.collection('payments')
+    .find({ hrEmail: { $ne: null }, status: { $in: INVOICEABLE_STATUSES }, invoiceId: null }, { projection: { rawSession: 0 } })
+    .sort({ paymentDate: 1 })
+    .toArray();
+  if (missing.length === 0) return 0;
+
+  const issued = [];
+  const session = getClient().startSession();
+  try {
+    for (const payment of missing) {
+      let invoice;
+      await session.withTransaction(async () => {
+        invoice = await issueInvoice(db, payment, session);
+      }, {
+        readPreference: 'primary',
+        readConcern: { level: 'local' },
+        writeConcern: { w: 'majority' }
+      });
+      issued.push(invoice);
+    }
+  } finally {
+    await session.endSession();
+  }
+  // logos are fetched in the background: startup doesn't wait on company hosts (attachInvoiceLogo never throws)
+  (async () => {
+    for (const invoice of issued) await attachInvoiceLogo(db, invoice);
+  })();
+  return missing.length;
+}
+
+function formatMoney(amount, currency) {
+  return `${(Number(amount || 0) / 100).toFixed(2)} ${String(currency || 'usd').toUpperCase()}`;
+}
+
+function formatDate(date) {
+  return date ? new Date(date).toISOString().slice(0, 10) : '-';
+}
+
+const LOGO_TYPES = [
+  { contentType: 'image/png', magic: Buffer.from([0x89, 0x50, 0x4e, 0x47]) },
+  { contentType: 'image/jpeg', magic: Buffer.from([0xff, 0xd8, 0xff]) },
+];
+
+// company logo as { contentType, data } (PNG/JPEG, checked by its first bytes), or null
+async function fetchLogo(url) {
+  if (!url || !/^https?:\/\//i.test(url)) return null;
+  try {
+    const response = await publicRequest(url, { timeoutMs: LOGO_TIMEOUT_MS, maxBytes: LOGO_MAX_BYTES });
+    if (response.statusCode !== 200 || !response.body) return null;
+    const type = LOGO_TYPES.find(({ magic }) => response.body.subarray(0, magic.length).equals(magic));
+    return type ? { contentType: type.contentType, data: response.body } : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Fetch the company logo of a freshly issued invoice and store it on the invoice. Runs after the
+ * issuing transaction has committed; a missing or unusable logo is recorded as null and never retried.
+ */
+async function attachInvoiceLogo(db, invoice) {
+  if (!invoice || !invoice.companyLogo || invoice.logoCheckedAt) return;
+  try {
+    const logo = await fetchLogo(invoice.companyLogo);
+    await db.collection('invoices').updateOne(
+      { _id: invoice._id },
+      { $set: { logo, logoCheckedAt: new Date() } }
+    );
+  } catch (err) {
+    console.error('Invoice logo error:', err);
+  }
+}
+
+/**
+ * Stream the invoice as a PDF to the response. `payment` is the current payment document (refund / dispute state).
+ */
+function streamInvoicePdf(res, invoice, payment) {
+  const logo = invoice.logo && invoice.logo.data ? Buffer.from(invoice.logo.data.buffer || invoice.logo.data) : null;
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Invoice ${invoice.invoiceNumber}` } });
+
+  res.type('application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${invoice.invoiceNumber}.pdf"`);
+  doc.pipe(res);
+
+  if (logo) {
+    try {
+      doc.image(logo, 50, 45, { fit: [80, 80] });
+    } catch (err) {
+      // unreadable image: leave the logo out
+    }
+  }
+  doc.fontSize(20).text('INVOICE', 50, 50, { align: 'right' });
+  doc.fontSize(10)
+    .text(invoice.invoiceNumber, { align: 'right' })
+    .text(`Issued: ${formatDate(invoice.issuedAt)}`, { align: 'right' })
+    .text(`Paid: ${formatDate(invoice.paidAt)}`, { align: 'right' });
+
+  doc.moveDown(4);
+  doc.fontSize(12).text('Billed to', 50);
+  doc.fontSize(10)
+    .text(invoice.companyName || '-')
+    .text(invoice.hrEmail);
+
+  doc.moveDown(2);
+  const tableTop = doc.y;
+  doc.fontSize(10).font('Helvetica-Bold')
+    .text('Description', 50, tableTop)
+    .text('Amount', 400, tableTop, { width: 145, align: 'right' });
+  doc.moveTo(50, tableTop + 15).lineTo(545, tableTop + 15).stroke();
+
+  const description = `AssetVerse ${invoice.packageName || ''} package (${invoice.employeeLimit} employees)`
+    + (invoice.kind === 'renewal' ? ' - monthly renewal' : '');
+  doc.font('Helvetica')
+    .text(description, 50, tableTop + 25, { width: 330 })
+    .text(formatMoney(invoice.amount, invoice.currency), 400, tableTop + 25, { width: 145, align: 'right' });
+
+  doc.moveDown(2);
+  doc.font('Helvetica-Bold').text(`Total: ${formatMoney(invoice.amount, invoice.currency)}`, 400, doc.y, { width: 145, align: 'right' });
+  doc.font('Helvetica');
+  if (payment && Number(payment.refundedAmount || 0) > 0) {
+    doc.text(`Refunded: ${formatMoney(payment.refundedAmount, invoice.currency)}`, 400, doc.y, { width: 145, align: 'right' });
+  }
+
+  doc.moveDown(3);
+  doc.fontSize(9).fillColor('#555555')
+    .text(`Transaction id: ${invoice.transactionId}`, 50)
+    .text(`Payment status: ${payment ? payment.status : '-'}`, 50);
+
+  doc.end();
+}
+
+module.exports = {
+  INVOICEABLE_STATUSES,
+  formatInvoiceNumber,
+  issueInvoice,
+  backfillInvoices,
+  attachInvoiceLogo,
+  streamInvoicePdf,
+};
@@ -0,0 +1,160 @@
+// src/utils/loginLimiter.js
+const { getDB } = require('../config/db');
+
+/**
+ * Failed-login tracking with exponential lockout.
+ *
+ * A store keeps one record per key ("account:<email>", "ip:<ip>"):
+ *   { failures, lockedUntil, lastFailureAt }
+ * Stores implement async get(key), set(key, record, ttlMs) and delete(key).
+ * Pick the built-in store with LOGIN_LIMITER_STORE=memory|mongo (default mongo, works across instances).
+ */
+
+class MemoryStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async get(key) {
+    const entry = this.records.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.records.delete(key);
+      return null;
+    }
+    return entry.record;
+  }
+
+  async set(key, record, ttlMs) {
+    this.records.set(key, { record, expiresAt: Date.now() + ttlMs });
+  }
+
+  async delete(key) {
+    this.records.delete(key);
+  }
+}
+
+class MongoStore {
+  constructor(collectionName = 'loginAttempts') {
+    this.collectionName = collectionName;
+  }
+
+  collection() {
+    return getDB().collection(this.collectionName);
+  }
+
+  async get(key) {
+    const doc = await this.collection().findOne({ _id: key, expiresAt: { $gt: new Date() } });
+    if (!doc) return null;
+    return { failures: doc.failures, lockedUntil: doc.lockedUntil, lastFailureAt: doc.lastFailureAt };
+  }
+
+  async set(key, record, ttlMs) {
+    await this.collection().updateOne(
+      { _id: key },
+      { $set: { ...record, expiresAt: new Date(Date.now() + ttlMs) } },
+      { upsert: true }
+    );
+  }
+
+  async delete(key) {
+    await this.collection().deleteOne({ _id: key });
+  }
+}
+
+const DEFAULT_OPTIONS = {
+  maxAccountFailures: 5,      // failures before an account is locked
+  maxIpFailures: 20,          // failures before an IP is locked (covers many accounts)
+  baseLockMs: 60 * 1000,      // first lock: 1 minute, doubled for every further failure
+  maxLockMs: 24 * 60 * 60 * 1000,
+  windowMs: 60 * 60 * 1000,   // failures older than this (without a lock) are forgotten
+};
+
+function accountKey(email) {
+  return `account:${String(email || '').toLowerCase().trim()}`;
+}
+
+function ipKey(ip) {
+  return `ip:${ip || 'unknown'}`;
+}
+
+function createLoginLimiter({ store = new MemoryStore(), ...options } = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+
+  function limitFor(key) {
+    return key.startsWith('ip:') ? opts.maxIpFailures : opts.maxAccountFailures;
+  }
+
+  /**
+   * Returns { locked: true, key, lockedUntil, retryAfter (seconds) } for the first locked key, else { locked: false }.
+   */
+  async function check(keys) {
+    const now = Date.now();
+    for (const key of keys) {
+      const record = await store.get(key);
+      if (record && record.lockedUntil && new Date(record.lockedUntil).getTime() > now) {
+        const lockedUntil = new Date(record.lockedUntil);
+        return { locked: true, key, lockedUntil, retryAfter: Math.ceil((lockedUntil.getTime() - now) / 1000) };
+      }
+    }
+    return { locked: false };
+  }
+
+  /**
+   * Count a failed attempt against every key; locks keys that crossed their limit.
+   * Returns the same shape as check() so callers can answer with the lock right away.
+   */
+  async function recordFailure(keys) {
+    const now = Date.now();
+    for (const key of keys) {
+      const record = (await store.get(key)) || { failures: 0, lockedUntil: null, lastFailureAt: null };
+      const failures = record.failures + 1;
+      const limit = limitFor(key);
+
+      let lockedUntil = null;
+      if (failures >= limit) {
+        const lockMs = Math.min(opts.baseLockMs * 2 ** (failures - limit), opts.maxLockMs);
+        lockedUntil = new Date(now + lockMs);
+      }
+
+      const ttlMs = Math.max(opts.windowMs, lockedUntil ? lockedUntil.getTime() - now + opts.windowMs : 0);
+      await store.set(key, { failures, lockedUntil, lastFailureAt: new Date(now) }, ttlMs);
+    }
+    return check(keys);
+  }
+
+  async function reset(key) {
+    await store.delete(key);
+  }
+
+  return { check, recordFailure, reset };
+}
+
+// 429 answer for a locked account/IP, telling the client when to retry
+function sendLockedResponse(res, lock) {
+  res.set('Retry-After', String(lock.retryAfter));
+  return res.status(429).json({
+    message: 'Too many failed login attempts. Try again later.',
+    lockedUntil: lock.lockedUntil,
+    retryAfter: lock.retryAfter,
+  });
+}
+
+const stores = {
+  memory: () => new MemoryStore(),
+  mongo: () => new MongoStore(),
+};
+
+const loginLimiter = createLoginLimiter({
+  store: (stores[process.env.LOGIN_LIMITER_STORE] || stores.mongo)(),
+});
+
+module.exports = {
+  MemoryStore,
+  MongoStore,
+  createLoginLimiter,
+  loginLimiter,
+  accountKey,
+  ipKey,
+  sendLockedResponse,
+};
@@ -0,0 +1,47 @@
+// src/utils/mailer.js
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Pluggable mail delivery.
+ * A transport is any object with an async send({ from, to, subject, text }) method.
+ * Built-in transports (pick with MAIL_TRANSPORT):
+ *   - 'console' (default): prints the message to stdout
+ *   - 'file': appends the message to MAIL_LOG_FILE (default ./mail.log)
+ * Production can register a real transport (SMTP, provider SDK, ...) with setTransport().
+ */
+const MAIL_FROM = process.env.MAIL_FROM || 'AssetVerse <no-reply@assetverse.local>';
+
+const consoleTransport = {
+  async send(message) {
+    console.log('📧 Mail (console transport):', JSON.stringify(message, null, 2));
+  }
+};
+
+const fileTransport = {
+  async send(message) {
+    const file = path.resolve(process.env.MAIL_LOG_FILE || 'mail.log');
+    const entry = `[${new Date().toISOString()}] ${JSON.stringify(message)}\n`;
+    await fs.promises.appendFile(file, entry);
+  }
+};
+
+const builtInTransports = {
+  console: consoleTransport,
+  file: fileTransport,
+};
+
+let transport = builtInTransports[process.env.MAIL_TRANSPORT] || consoleTransport;
+
+function setTransport(customTransport) {
+  if (!customTransport || typeof customTransport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  transport = customTransport;
+}
+
+async function sendMail({ to, subject, text }) {
+  return transport.send({ from: MAIL_FROM, to, subject, text });
+}
+
+module.exports = { sendMail, setTransport };
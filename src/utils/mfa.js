@@ -0,0 +1,55 @@
+// src/utils/mfa.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { hashToken } = require('./sessions');
+
+// the "mfa pending" token only proves the password step; it is not accepted by verifyToken (no sid)
+const MFA_TOKEN_EXPIRES_IN = '5m';
+const MFA_TOKEN_TYPE = 'mfa_pending';
+const RECOVERY_CODE_COUNT = 10;
+
+function signMfaToken(user) {
+  return jwt.sign(
+    { id: user._id, email: user.email, typ: MFA_TOKEN_TYPE },
+    process.env.JWT_SECRET,
+    { expiresIn: MFA_TOKEN_EXPIRES_IN }
+  );
+}
+
+// returns the decoded payload or null
+function verifyMfaToken(token) {
+  try {
+    const decoded = jwt.verify(String(token || ''), process.env.JWT_SECRET);
+    return decoded.typ === MFA_TOKEN_TYPE ? decoded : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+}
+
+/**
+ * Generate one-time recovery codes. Returns { codes, hashes }: show codes once, store hashes.
+ */
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  const hashes = codes.map((code) => hashToken(normalizeRecoveryCode(code)));
+  return { codes, hashes };
+}
+
+function hashRecoveryCode(code) {
+  return hashToken(normalizeRecoveryCode(code));
+}
+
+module.exports = {
+  signMfaToken,
+  verifyMfaToken,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+};
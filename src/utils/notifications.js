@@ -0,0 +1,54 @@
+// src/utils/notifications.js
+const { publish } = require('./eventBus');
+
+/**
+ * In-app notifications (collection `notifications`).
+ * Document: { recipientEmail, type, title, message, data, readAt, createdAt }
+ * Types: request.created, request.approved, request.rejected, employee.removed, payment.completed, stock.low
+ *
+ * notify() is called after the change it reports has been committed and never throws:
+ * a failed notification must not fail the request that triggered it.
+ * Helpers that already run inside a transaction may pass { session } to write atomically with it; then write
+ * errors are rethrown (so withTransaction can retry) and nothing is published: the caller passes the returned
+ * docs to publishNotifications() once the transaction has committed.
+ */
+async function notify(db, notifications, { session } = {}) {
+  const list = (Array.isArray(notifications) ? notifications : [notifications])
+    .filter((n) => n && n.recipientEmail);
+  if (list.length === 0) return [];
+
+  const now = new Date();
+  const docs = list.map((n) => ({
+    recipientEmail: String(n.recipientEmail).toLowerCase(),
+    type: n.type,
+    title: n.title,
+    message: n.message || null,
+    data: n.data || {},
+    readAt: null,
+    createdAt: now,
+  }));
+
+  if (session) {
+    await db.collection('notifications').insertMany(docs, { session });
+    return docs;
+  }
+  try {
+    await db.collection('notifications').insertMany(docs);
+    publishNotifications(docs);
+    return docs;
+  } catch (err) {
+    console.error('Notification write error:', err);
+    return [];
+  }
+}
+
+// live unread counts for the recipients of committed notifications
+function publishNotifications(docs) {
+  if (!docs || docs.length === 0) return;
+  publish('notification.created', {
+    recipients: docs.map((doc) => doc.recipientEmail),
+    data: { types: [...new Set(docs.map((doc) => doc.type))] },
+  });
+}
+
+module.exports = { notify, publishNotifications };
@@ -0,0 +1,144 @@
+// src/utils/publicHttp.js
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+
+/**
+ * Outbound HTTP to URLs chosen by users (webhook endpoints, company logos) without reaching into our
+ * own network: only public addresses are allowed. The check runs on the address the socket actually
+ * connects to (custom `lookup`), so a hostname that resolves to a public address at registration and to
+ * 127.0.0.1 later (DNS rebinding) is still refused. Redirects are never followed.
+ */
+
+const BLOCKED = new net.BlockList();
+[
+  ['0.0.0.0', 8],         // "this" network
+  ['10.0.0.0', 8],        // private
+  ['100.64.0.0', 10],     // carrier-grade NAT
+  ['127.0.0.0', 8],       // loopback
+  ['169.254.0.0', 16],    // link-local (cloud metadata)
+  ['172.16.0.0', 12],     // private
+  ['192.0.0.0', 24],      // IETF protocol assignments
+  ['192.168.0.0', 16],    // private
+  ['198.18.0.0', 15],     // benchmarking
+  ['224.0.0.0', 4],       // multicast
+  ['240.0.0.0', 4],       // reserved, broadcast
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],            // unspecified
+  ['::1', 128],           // loopback
+  ['fc00::', 7],          // unique local
+  ['fe80::', 10],         // link-local
+  ['ff00::', 8],          // multicast
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv6'));
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  if (family === 6) {
+    // IPv4-mapped / -compatible (::ffff:127.0.0.1) is checked as IPv4
+    const mapped = address.match(/^::(?:ffff:)?(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return isPublicAddress(mapped[1]);
+    return !BLOCKED.check(address, 'ipv6');
+  }
+  return !BLOCKED.check(address, 'ipv4');
+}
+
+// dns.lookup replacement that fails for non-public addresses
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find((entry) => !isPublicAddress(entry.address));
+    if (blocked) return callback(Object.assign(new Error(`${hostname} resolves to a non-public address`), { code: 'ENONPUBLIC' }));
+    if (options && options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+function stripBrackets(hostname) {
+  return hostname.startsWith('[') ? hostname.slice(1, -1) : hostname;
+}
+
+/**
+ * Check that `url` is http(s) and its host resolves only to public addresses.
+ * Returns an error message or null.
+ */
+async function checkPublicUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return 'url must be a valid URL';
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return 'url must use http or https';
+
+  const host = stripBrackets(parsed.hostname);
+  if (net.isIP(host)) return isPublicAddress(host) ? null : 'url must point to a public host';
+  try {
+    const addresses = await dns.promises.lookup(host, { all: true });
+    if (addresses.length === 0 || addresses.some((entry) => !isPublicAddress(entry.address))) {
+      return 'url must point to a public host';
+    }
+  } catch {
+    return 'url host could not be resolved';
+  }
+  return null;
+}
+
+/**
+ * Make one request to a public host. Resolves to { statusCode, headers, body } where body is a Buffer
+ * of at most `maxBytes` (null when the response was larger). Rejects on network errors, timeouts and
+ * non-public targets (err.code 'ENONPUBLIC').
+ */
+function publicRequest(url, { method = 'GET', headers = {}, body = null, timeoutMs = 10000, maxBytes = 0 } = {}) {
+  return new Promise((resolve, reject) => {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (err) {
+      return reject(err);
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) return reject(new Error('Only http and https are allowed'));
+    const host = stripBrackets(parsed.hostname);
+    // IP literals skip the lookup, so check them here
+    if (net.isIP(host) && !isPublicAddress(host)) {
+      return reject(Object.assign(new Error(`${host} is not a public address`), { code: 'ENONPUBLIC' }));
+    }
+
+    const transport = parsed.protocol === 'https:' ? https : http;
+    const req = transport.request(parsed, { method, headers, lookup: publicLookup }, (response) => {
+      const chunks = [];
+      let size = 0;
+      let tooLarge = false;
+      response.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > maxBytes) {
+          tooLarge = true;
+          response.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      const done = () => {
+        // cut off by the deadline or the server: don't hand out a partial body
+        if (!tooLarge && !response.complete) return reject(new Error('Response interrupted'));
+        return resolve({
+          statusCode: response.statusCode,
+          headers: response.headers,
+          body: tooLarge ? null : Buffer.concat(chunks),
+        });
+      };
+      response.on('end', done);
+      response.on('close', done);
+      response.on('error', done);
+    });
+    // whole-request deadline (a slow-dripping response doesn't extend it)
+    const timer = setTimeout(() => req.destroy(Object.assign(new Error('Request timed out'), { name: 'TimeoutError' })), timeoutMs);
+    req.on('close', () => clearTimeout(timer));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+module.exports = { isPublicAddress, checkPublicUrl, publicRequest };
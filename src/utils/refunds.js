@@ -0,0 +1,93 @@
+// src/utils/refunds.js
+const { BASE_PLAN, basePlanUpdate } = require('./subscriptions');
+
+/**
+ * Refunds and lost disputes on `payments`, shared by the admin refund endpoint and the
+ * charge.refunded / charge.dispute.closed webhooks.
+ *
+ * When the money for the payment that activated the HR's current package goes back in full, the
+ * package is rolled back to payment.previousPackage (snapshot taken at checkout completion) and the
+ * refunded subscription is cancelled in Stripe. Partial refunds and renewal refunds keep the package.
+ */
+
+const REFUNDABLE_STATUSES = ['completed', 'partially_refunded'];
+
+// user fields restoring the package the HR had before `payment`
+function previousPackageUpdate(payment) {
+  const prev = payment.previousPackage;
+  if (!prev) return basePlanUpdate();
+  return {
+    subscription: prev.subscription || BASE_PLAN.name,
+    packageLimit: prev.packageLimit === undefined || prev.packageLimit === null ? BASE_PLAN.employeeLimit : prev.packageLimit,
+    subscriptionStatus: prev.subscriptionStatus || null,
+    subscriptionPackageId: prev.subscriptionPackageId || null,
+    stripeSubscriptionId: prev.stripeSubscriptionId || null,
+    subscriptionPeriodEnd: prev.subscriptionPeriodEnd || null,
+    subscriptionGraceUntil: null,
+    // a previous subscription was cancelled in Stripe when it was replaced: it runs out at its period end
+    subscriptionCancelAtPeriodEnd: !!prev.stripeSubscriptionId,
+  };
+}
+
+/**
+ * Roll the HR back to the previous package if `payment` is what activated the current one.
+ * Returns { rolledBack, cancelSubscriptionId } (the subscription to cancel in Stripe after commit).
+ */
+async function rollbackPackage(db, payment, session) {
+  if (payment.packageRolledBack || payment.kind === 'renewal' || !payment.hrEmail) return { rolledBack: false };
+
+  const hrUser = await db.collection('users').findOne({ email: payment.hrEmail }, { session });
+  if (!hrUser) return { rolledBack: false };
+
+  // only the latest package purchase defines the current package
+  const latest = await db.collection('payments').findOne(
+    { hrEmail: payment.hrEmail, kind: { $ne: 'renewal' }, paymentDate: { $ne: null }, status: { $nin: ['pending', 'expired', 'failed'] } },
+    { sort: { paymentDate: -1 }, session }
+  );
+  if (!latest || String(latest._id) !== String(payment._id)) return { rolledBack: false };
+
+  const cancelSubscriptionId = payment.subscriptionId && payment.subscriptionId === hrUser.stripeSubscriptionId
+    ? payment.subscriptionId
+    : null;
+
+  await db.collection('users').updateOne({ _id: hrUser._id }, { $set: previousPackageUpdate(payment) }, { session });
+  await db.collection('payments').updateOne(
+    { _id: payment._id },
+    { $set: { packageRolledBack: true, packageRolledBackAt: new Date() } },
+    { session }
+  );
+  return { rolledBack: true, cancelSubscriptionId };
+}
+
+/**
+ * Record the refunded total of a payment (absolute, so Stripe retries and the webhook that follows an
+ * admin refund are harmless) and roll the package back on a full refund.
+ * Returns { status, fullyRefunded, rolledBack, cancelSubscriptionId }.
+ */
+async function recordRefund(db, payment, { refundedAmount, refundId = null, reason = null, refundedBy = null }, session) {
+  const total = Math.max(Number(refundedAmount) || 0, Number(payment.refundedAmount) || 0);
+  const fullyRefunded = !payment.amount || total >= payment.amount;
+  const status = fullyRefunded ? 'refunded' : 'partially_refunded';
+
+  const update = {
+    $set: { status, refundedAmount: total, refundedAt: new Date(), updatedAt: new Date() },
+  };
+  if (refundId) {
+    update.$push = { refunds: { id: refundId, reason, refundedBy, at: new Date() } };
+  }
+  if (payment.refundRequest && payment.refundRequest.status === 'pending') {
+    update.$set['refundRequest.status'] = 'approved';
+    update.$set['refundRequest.resolvedAt'] = new Date();
+    update.$set['refundRequest.resolvedBy'] = refundedBy;
+  }
+  await db.collection('payments').updateOne({ _id: payment._id }, update, { session });
+
+  const rollback = fullyRefunded ? await rollbackPackage(db, payment, session) : { rolledBack: false };
+  return { status, fullyRefunded, ...rollback };
+}
+
+module.exports = {
+  REFUNDABLE_STATUSES,
+  rollbackPackage,
+  recordRefund,
+};
@@ -0,0 +1,136 @@
+// src/utils/sessions.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { ObjectId } = require('mongodb');
+
+// Access tokens are short-lived; the refresh token (stored hashed in `sessions`) keeps the user logged in.
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function signAccessToken(user, sessionId) {
+  const tokenPayload = {
+    id: user._id,
+    email: user.email,
+    role: user.role,
+    sid: String(sessionId),
+  };
+  return jwt.sign(tokenPayload, process.env.JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+}
+
+// refresh token format: "<sessionId>.<random secret>" so the session can be found without scanning
+function buildRefreshToken(sessionId) {
+  return `${sessionId}.${crypto.randomBytes(48).toString('hex')}`;
+}
+
+function parseRefreshToken(refreshToken) {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret || !ObjectId.isValid(sessionId)) return null;
+  return new ObjectId(sessionId);
+}
+
+/**
+ * Create a new login session for user and return { token, refreshToken, sessionId }.
+ * req is optional and only used to record userAgent/ip for the session list.
+ */
+async function createSession(db, user, req = null) {
+  const now = new Date();
+  const sessionId = new ObjectId();
+  const refreshToken = buildRefreshToken(sessionId);
+
+  await db.collection('sessions').insertOne({
+    _id: sessionId,
+    userId: user._id,
+    email: user.email,
+    refreshTokenHash: hashToken(refreshToken),
+    previousTokenHash: null,
+    userAgent: req ? req.headers['user-agent'] || null : null,
+    ip: req ? req.ip || null : null,
+    createdAt: now,
+    lastUsedAt: now,
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    revokedAt: null,
+  });
+
+  return { token: signAccessToken(user, sessionId), refreshToken, sessionId };
+}
+
+/**
+ * Exchange a refresh token for a new access token + refresh token (rotation).
+ * Presenting an already-rotated refresh token revokes the whole session (likely theft).
+ * Throws Error with a client-safe message when the token cannot be used.
+ */
+async function rotateSession(db, refreshToken) {
+  const sessionId = parseRefreshToken(refreshToken);
+  if (!sessionId) throw new Error('Invalid refresh token');
+
+  const sessionsColl = db.collection('sessions');
+  const session = await sessionsColl.findOne({ _id: sessionId });
+  if (!session || session.revokedAt) throw new Error('Session revoked or not found');
+  if (session.expiresAt && session.expiresAt < new Date()) throw new Error('Session expired');
+
+  const presentedHash = hashToken(refreshToken);
+  if (presentedHash !== session.refreshTokenHash) {
+    if (presentedHash === session.previousTokenHash) {
+      await revokeSession(db, session._id);
+    }
+    throw new Error('Invalid refresh token');
+  }
+
+  const user = await db.collection('users').findOne({ _id: session.userId });
+  if (!user) throw new Error('User not found');
+
+  const nextRefreshToken = buildRefreshToken(session._id);
+  const updated = await sessionsColl.updateOne(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextRefreshToken),
+        previousTokenHash: presentedHash,
+        lastUsedAt: new Date(),
+      }
+    }
+  );
+  // lost a race with a concurrent refresh using the same token
+  if (updated.matchedCount === 0) throw new Error('Invalid refresh token');
+
+  return { user, token: signAccessToken(user, session._id), refreshToken: nextRefreshToken };
+}
+
+async function revokeSession(db, sessionId) {
+  return db.collection('sessions').updateOne(
+    { _id: new ObjectId(String(sessionId)), revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+}
+
+async function revokeAllSessions(db, userId) {
+  return db.collection('sessions').updateMany(
+    { userId: new ObjectId(String(userId)), revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+}
+
+/**
+ * Returns the session if it is still usable for access tokens, else null.
+ */
+async function findActiveSession(db, sessionId) {
+  if (!sessionId || !ObjectId.isValid(String(sessionId))) return null;
+  const session = await db.collection('sessions').findOne({ _id: new ObjectId(String(sessionId)) });
+  if (!session || session.revokedAt) return null;
+  if (session.expiresAt && session.expiresAt < new Date()) return null;
+  return session;
+}
+
+module.exports = {
+  JWT_EXPIRES_IN,
+  hashToken,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  findActiveSession,
+};
@@ -0,0 +1,86 @@
+// src/utils/stockAlerts.js
+const { ObjectId } = require('mongodb');
+const { notify } = require('./notifications');
+
+/**
+ * Low-stock alerts (collection `stockAlerts`) for the HR owning an asset.
+ * An asset with a numeric reorderThreshold is "low" when availableQuantity <= reorderThreshold.
+ * At most one open alert exists per asset; it is resolved once stock is back above the threshold.
+ */
+
+// returns null when valid, else an error message
+// Accepts a number or a digit-only string (CSV cells); '', booleans and arrays would otherwise coerce to 0 / 1.
+function validateReorderThreshold(value) {
+  if (value === null) return null;
+  const message = 'reorderThreshold must be a non-negative integer or null';
+  if (typeof value === 'string') return /^\d+$/.test(value.trim()) ? null : message;
+  if (typeof value !== 'number' || !Number.isInteger(value) || value < 0) return message;
+  return null;
+}
+
+function isLowStock(asset) {
+  return typeof asset.reorderThreshold === 'number' && (asset.availableQuantity || 0) <= asset.reorderThreshold;
+}
+
+/**
+ * Re-check an asset after its stock or threshold changed: opens an alert when it crossed into low stock,
+ * resolves the open alert when it is no longer low. Pass the transaction session when inside one.
+ * Returns { alert, notifications }: the newly created alert, if any, and the notifications written for it.
+ * Inside a transaction the caller publishes those notifications after commit (publishNotifications).
+ */
+async function evaluateStockAlert(db, assetId, session) {
+  const none = { alert: null, notifications: [] };
+  const asset = await db.collection('assets').findOne({ _id: new ObjectId(assetId) }, { session });
+  if (!asset) return none;
+
+  const alertsColl = db.collection('stockAlerts');
+  const now = new Date();
+
+  if (!isLowStock(asset)) {
+    await alertsColl.updateMany(
+      { assetId: asset._id, resolvedAt: null },
+      { $set: { resolvedAt: now } },
+      { session }
+    );
+    return none;
+  }
+
+  const open = await alertsColl.findOne({ assetId: asset._id, resolvedAt: null }, { session });
+  if (open) {
+    // keep the open alert current instead of raising a new one
+    await alertsColl.updateOne(
+      { _id: open._id },
+      { $set: { availableQuantity: asset.availableQuantity, reorderThreshold: asset.reorderThreshold, updatedAt: now } },
+      { session }
+    );
+    return none;
+  }
+
+  const alert = {
+    type: 'low_stock',
+    assetId: asset._id,
+    assetName: asset.productName,
+    hrEmail: asset.hrEmail,
+    companyName: asset.companyName || null,
+    availableQuantity: asset.availableQuantity || 0,
+    reorderThreshold: asset.reorderThreshold,
+    message: `${asset.productName} is low on stock (${asset.availableQuantity || 0} left, threshold ${asset.reorderThreshold})`,
+    createdAt: now,
+    updatedAt: now,
+    readAt: null,
+    resolvedAt: null,
+  };
+  const result = await alertsColl.insertOne(alert, { session });
+
+  const notifications = await notify(db, {
+    recipientEmail: asset.hrEmail,
+    type: 'stock.low',
+    title: 'Low stock',
+    message: alert.message,
+    data: { assetId: asset._id, alertId: result.insertedId },
+  }, { session });
+
+  return { alert: { ...alert, _id: result.insertedId }, notifications };
+}
+
+module.exports = { validateReorderThreshold, isLowStock, evaluateStockAlert };
@@ -0,0 +1,10 @@
+// src/utils/stripe.js
+// Shared Stripe client (payments routes and the webhook pipeline).
+// STRIPE_MOCK=true swaps in the local in-memory mock (utils/stripeMock) for development without Stripe.
+const { createStripeMock } = require('./stripeMock');
+
+const stripe = process.env.STRIPE_MOCK === 'true'
+  ? createStripeMock()
+  : require('stripe')(process.env.STRIPE_SECRET_KEY);
+
+module.exports = stripe;
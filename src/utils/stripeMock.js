@@ -0,0 +1,98 @@
+// src/utils/stripeMock.js
+const crypto = require('crypto');
+
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+/**
+ * In-memory stand-in for the parts of the Stripe SDK this app calls, for local development and
+ * manual testing without a Stripe account (STRIPE_MOCK=true). Nothing leaves the process.
+ * Webhooks are not sent: feed events through POST /payments/simulate instead.
+ * constructEvent still verifies the Stripe-Signature header against STRIPE_WEBHOOK_SECRET like the real SDK,
+ * so the public webhook endpoint can't be used to post forged events in mock mode.
+ */
+function createStripeMock() {
+  const id = (prefix) => `${prefix}_mock_${crypto.randomBytes(8).toString('hex')}`;
+  const now = () => Math.floor(Date.now() / 1000);
+  const subscriptions = new Map();
+  const refunds = new Map();
+  const refundsByKey = new Map();
+
+  return {
+    mock: true,
+    checkout: {
+      sessions: {
+        async create(params) {
+          const sessionId = id('cs');
+          return {
+            id: sessionId,
+            object: 'checkout.session',
+            mode: params.mode,
+            metadata: params.metadata || {},
+            url: `${params.success_url || ''}`.replace('{CHECKOUT_SESSION_ID}', sessionId),
+            created: now(),
+          };
+        },
+      },
+    },
+    subscriptions: {
+      async update(subscriptionId, params) {
+        const subscription = { ...(subscriptions.get(subscriptionId) || { id: subscriptionId, status: 'active' }), ...params };
+        subscriptions.set(subscriptionId, subscription);
+        return subscription;
+      },
+      async cancel(subscriptionId) {
+        const subscription = { ...(subscriptions.get(subscriptionId) || { id: subscriptionId }), status: 'canceled', canceled_at: now() };
+        subscriptions.set(subscriptionId, subscription);
+        return subscription;
+      },
+    },
+    refunds: {
+      async create(params, { idempotencyKey } = {}) {
+        if (idempotencyKey && refundsByKey.has(idempotencyKey)) return refundsByKey.get(idempotencyKey);
+        if (!params.payment_intent && !params.charge) throw new Error('payment_intent or charge is required');
+        const refund = {
+          id: id('re'),
+          object: 'refund',
+          amount: params.amount || null,
+          payment_intent: params.payment_intent || null,
+          charge: params.charge || null,
+          metadata: params.metadata || {},
+          status: 'succeeded',
+          created: now(),
+        };
+        refunds.set(refund.id, refund);
+        if (idempotencyKey) refundsByKey.set(idempotencyKey, refund);
+        return refund;
+      },
+    },
+    webhooks: {
+      // same scheme as Stripe: Stripe-Signature "t=<unix>,v1=<hex HMAC-SHA256(secret, `${t}.${payload}`)>"
+      generateTestHeaderString({ payload, secret, timestamp = now() }) {
+        const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+        return `t=${timestamp},v1=${signature}`;
+      },
+      constructEvent(payload, header, secret, tolerance = SIGNATURE_TOLERANCE_SECONDS) {
+        const body = Buffer.isBuffer(payload) ? payload.toString('utf8') : String(payload);
+        if (!secret) throw new Error('Webhook secret is not configured');
+        if (!header) throw new Error('No signatures found matching the expected signature for payload');
+
+        const parts = String(header).split(',').map((part) => part.split('='));
+        const timestamp = Number((parts.find(([key]) => key === 't') || [])[1]);
+        const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+        if (!timestamp || signatures.length === 0) throw new Error('Unable to extract timestamp and signatures from header');
+
+        const expected = Buffer.from(crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex'));
+        const matches = signatures.some((signature) => {
+          const given = Buffer.from(signature);
+          return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+        });
+        if (!matches) throw new Error('No signatures found matching the expected signature for payload');
+        if (tolerance > 0 && Math.abs(now() - timestamp) > tolerance) throw new Error('Timestamp outside the tolerance zone');
+
+        return JSON.parse(body);
+      },
+    },
+  };
+}
+
+module.exports = { createStripeMock };
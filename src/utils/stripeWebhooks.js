@@ -0,0 +1,655 @@
+// src/utils/stripeWebhooks.js
+const { ObjectId } = require('mongodb');
+const { getClient } = require('../config/db');
+const { writeAuditEntry } = require('./audit');
+const { notify } = require('./notifications');
+const { publish } = require('./eventBus');
+const stripe = require('./stripe');
+const { STRIPE_STATUS_MAP, graceUntilFrom, basePlanUpdate } = require('./subscriptions');
+const { REFUNDABLE_STATUSES, recordRefund, rollbackPackage } = require('./refunds');
+const { issueInvoice, attachInvoiceLogo } = require('./invoices');
+
+/**
+ * Stripe event pipeline shared by POST /payments/webhook (signature-verified) and POST /payments/simulate.
+ *
+ * Each event is handled at most once: the event id is inserted into `stripeEvents` in the same
+ * transaction as the event's writes, so a Stripe retry (or a concurrent duplicate delivery) either
+ * finds the id already there or fails on the unique _id and changes nothing.
+ * Side effects outside the database (notifications, audit log, event bus) run after the commit,
+ * from the `after` callback a handler returns.
+ *
+ * payments.status: pending (checkout created) -> completed | expired; failed; refunded | partially_refunded;
+ * disputed -> back to the previous status (won) | dispute_lost
+ * Completed checkouts and renewals are invoiced in the same transaction (utils/invoices).
+ * Subscription lifecycle (see utils/subscriptions): checkout.session.completed (mode 'subscription') starts it,
+ * invoice.paid renews it, invoice.payment_failed opens the grace period, customer.subscription.updated/deleted
+ * sync status and end it.
+ */
+
+const TRANSACTION_OPTIONS = {
+  readPreference: 'primary',
+  readConcern: { level: 'local' },
+  writeConcern: { w: 'majority' }
+};
+
+function checkoutMetadata(object) {
+  const metadata = object.metadata || {};
+  return {
+    hrEmail: metadata.hrEmail ? String(metadata.hrEmail).toLowerCase() : null,
+    packageId: metadata.packageId || null,
+    packageName: metadata.packageName || null,
+    employeeLimit: Number(metadata.employeeLimit || 0),
+  };
+}
+
+// audit entry for a Stripe-driven payment change (no req.user here: it comes from Stripe)
+async function auditPayment(db, action, hrEmail, details) {
+  const hrUser = hrEmail ? await db.collection('users').findOne({ email: hrEmail }) : null;
+  await writeAuditEntry({
+    action,
+    actor: { email: hrEmail || null, role: 'hr' },
+    companyName: hrUser ? hrUser.companyName : null,
+    hrEmail: hrEmail || null,
+    target: { type: 'payment', id: details.transactionId || null },
+    outcome: 'success',
+    details,
+  });
+}
+
+function toDate(unixSeconds) {
+  return unixSeconds ? new Date(unixSeconds * 1000) : null;
+}
+
+function addMonth(date) {
+  const next = new Date(date);
+  next.setMonth(next.getMonth() + 1);
+  return next;
+}
+
+// newer Stripe API versions moved these fields; accept both shapes
+function invoiceSubscriptionId(invoice) {
+  if (invoice.subscription) return typeof invoice.subscription === 'string' ? invoice.subscription : invoice.subscription.id;
+  const details = invoice.parent && invoice.parent.subscription_details;
+  return details ? details.subscription : null;
+}
+
+function invoicePaymentIntentId(invoice) {
+  let intent = invoice.payment_intent;
+  if (!intent && invoice.payments && invoice.payments.data) {
+    const intents = invoice.payments.data.filter((entry) => entry.payment && entry.payment.payment_intent);
+    const entry = intents.find((candidate) => candidate.status === 'paid') || intents[0];
+    intent = entry ? entry.payment.payment_intent : null;
+  }
+  if (!intent) return null;
+  return typeof intent === 'string' ? intent : intent.id;
+}
+
+function invoicePeriodEnd(invoice) {
+  const line = invoice.lines && invoice.lines.data && invoice.lines.data[0];
+  return toDate(line && line.period ? line.period.end : invoice.period_end);
+}
+
+function subscriptionPeriodEnd(subscription) {
+  const item = subscription.items && subscription.items.data && subscription.items.data[0];
+  return toDate(subscription.current_period_end || (item && item.current_period_end));
+}
+
+/**
+ * A subscription checkout has no payment intent: it comes with the subscription's first invoice (invoice.paid),
+ * which Stripe may deliver before or after checkout.session.completed. Both events write the intent's link
+ * document (`subscriptionPaymentIntents`, keyed by subscription id), so concurrent handlers conflict and one retries;
+ * whichever runs second copies the intent onto the checkout's payment.
+ */
+async function linkSubscriptionIntent(db, subscriptionId, fields, session) {
+  const link = await db.collection('subscriptionPaymentIntents').findOneAndUpdate(
+    { _id: subscriptionId },
+    { $set: { ...fields, updatedAt: new Date() }, $setOnInsert: { createdAt: new Date() } },
+    { upsert: true, returnDocument: 'after', session }
+  );
+  if (!link.paymentIntentId) return;
+  await db.collection('payments').updateOne(
+    { subscriptionId, kind: { $ne: 'renewal' }, paymentIntentId: null },
+    { $set: { paymentIntentId: link.paymentIntentId } },
+    { session }
+  );
+}
+
+// HR user owning a Stripe subscription; events for a replaced subscription find nobody
+function findSubscriber(db, subscriptionId, session) {
+  if (!subscriptionId) return null;
+  return db.collection('users').findOne({ role: 'hr', stripeSubscriptionId: subscriptionId }, { session });
+}
+
+/**
+ * checkout.session.completed: mark the payment completed and apply the package to the HR account.
+ * Subscription checkouts also start the subscription; a previous subscription (plan change) is cancelled in Stripe.
+ */
+async function handleCheckoutCompleted(db, checkout, session, { simulated }) {
+  const { hrEmail, packageId, packageName, employeeLimit } = checkoutMetadata(checkout);
+  const now = new Date();
+  const hrUser = hrEmail ? await db.collection('users').findOne({ email: hrEmail }, { session }) : null;
+  const subscriptionId = checkout.mode === 'subscription' && checkout.subscription
+    ? (typeof checkout.subscription === 'string' ? checkout.subscription : checkout.subscription.id)
+    : null;
+
+  const paymentUpdate = {
+    hrEmail,
+    packageId: packageId && ObjectId.isValid(packageId) ? new ObjectId(packageId) : null,
+    packageName,
+    employeeLimit,
+    amount: checkout.amount_total || null,
+    currency: checkout.currency || null,
+    subscriptionId,
+    paymentDate: now,
+    status: 'completed',
+    rawSession: checkout,
+    updatedAt: now,
+  };
+  // subscription checkouts have no payment intent; it is linked from invoice.paid (linkSubscriptionIntent)
+  if (checkout.payment_intent) paymentUpdate.paymentIntentId = checkout.payment_intent;
+  // package the HR had before, restored if this payment is refunded in full (utils/refunds)
+  if (hrUser) {
+    paymentUpdate.previousPackage = {
+      subscription: hrUser.subscription || null,
+      packageLimit: hrUser.packageLimit === undefined ? null : hrUser.packageLimit,
+      subscriptionStatus: hrUser.subscriptionStatus || null,
+      subscriptionPackageId: hrUser.subscriptionPackageId || null,
+      stripeSubscriptionId: hrUser.stripeSubscriptionId || null,
+      subscriptionPeriodEnd: hrUser.subscriptionPeriodEnd || null,
+    };
+  }
+
+  const payment = await db.collection('payments').findOneAndUpdate(
+    { transactionId: checkout.id },
+    {
+      $set: paymentUpdate,
+      $setOnInsert: { transactionId: checkout.id, createdAt: now },
+    },
+    { upsert: true, returnDocument: 'after', session }
+  );
+  if (subscriptionId && !payment.paymentIntentId) {
+    await linkSubscriptionIntent(db, subscriptionId, { checkoutId: checkout.id }, session);
+  }
+  const issued = hrEmail ? await issueInvoice(db, payment, session) : null;
+
+  let replacedSubscriptionId = null;
+  if (hrEmail && employeeLimit > 0) {
+    // Option: we set packageLimit = employeeLimit (replace). If you prefer add-on behavior, change accordingly.
+    const userUpdate = { packageLimit: employeeLimit, subscription: packageName || 'upgraded' };
+
+    if (subscriptionId) {
+      if (hrUser && hrUser.stripeSubscriptionId && hrUser.stripeSubscriptionId !== subscriptionId) {
+        replacedSubscriptionId = hrUser.stripeSubscriptionId;
+      }
+      Object.assign(userUpdate, {
+        subscriptionStatus: 'active',
+        subscriptionPackageId: packageId && ObjectId.isValid(packageId) ? new ObjectId(packageId) : null,
+        stripeCustomerId: checkout.customer || null,
+        stripeSubscriptionId: subscriptionId,
+        subscriptionGraceUntil: null,
+        subscriptionCancelAtPeriodEnd: false,
+      });
+      // provisional until invoice.paid reports the real period (it may also arrive first)
+      if (!hrUser || hrUser.stripeSubscriptionId !== subscriptionId || !hrUser.subscriptionPeriodEnd) {
+        userUpdate.subscriptionPeriodEnd = addMonth(now);
+      }
+    }
+
+    await db.collection('users').updateOne({ email: hrEmail }, { $set: userUpdate }, { session });
+  }
+
+  return {
+    after: async () => {
+      await attachInvoiceLogo(db, issued);
+
+      if (replacedSubscriptionId) {
+        await stripe.subscriptions.cancel(replacedSubscriptionId)
+          .catch((err) => console.error('Cancel replaced subscription error:', err.message));
+      }
+
+      await auditPayment(db, 'package.purchase', hrEmail, {
+        packageId,
+        packageName,
+        employeeLimit,
+        amount: checkout.amount_total || null,
+        transactionId: checkout.id,
+        ...(simulated ? { simulated: true } : {}),
+      }).catch((err) => console.error('Audit log write error:', err));
+
+      await notify(db, {
+        recipientEmail: hrEmail,
+        type: 'payment.completed',
+        title: 'Payment completed',
+        message: `${packageName || 'Package'} upgrade is active (${employeeLimit} employees)`,
+        data: { packageId, transactionId: checkout.id },
+      });
+      publish('payment.completed', {
+        hrEmail,
+        recipients: [hrEmail],
+        data: { packageId, packageName, employeeLimit, transactionId: checkout.id },
+      });
+    },
+  };
+}
+
+/**
+ * checkout.session.expired: the HR abandoned checkout; close the pending payment.
+ */
+async function handleCheckoutExpired(db, checkout, session) {
+  await db.collection('payments').updateOne(
+    { transactionId: checkout.id, status: 'pending' },
+    { $set: { status: 'expired', updatedAt: new Date() } },
+    { session }
+  );
+  return {};
+}
+
+/**
+ * charge.refunded: record the refunded total on the payment (found by payment intent); a full refund of the
+ * payment that activated the current package rolls the HR back to the previous one (utils/refunds).
+ * Refunds issued from POST /payments/:id/refund come back through here too and are skipped: amount_refunded is an
+ * absolute total, so an event that doesn't raise the recorded total changes nothing and notifies nobody.
+ */
+async function handleChargeRefunded(db, charge, session) {
+  if (!charge.payment_intent) return { ignored: true };
+  const payment = await db.collection('payments').findOne(
+    { paymentIntentId: charge.payment_intent, status: { $in: REFUNDABLE_STATUSES } },
+    { session }
+  );
+  if (!payment) return { ignored: true };
+
+  const refundedAmount = charge.refunded === true && !charge.amount_refunded ? payment.amount : charge.amount_refunded || 0;
+  // already recorded (the follow-up of an admin refund, or an older event): no update, no second notification
+  if (refundedAmount <= Number(payment.refundedAmount || 0)) return { ignored: true };
+  const refund = await recordRefund(db, payment, { refundedAmount }, session);
+
+  return {
+    after: async () => {
+      await cancelRolledBackSubscription(refund);
+
+      await auditPayment(db, 'payment.refunded', payment.hrEmail, {
+        transactionId: payment.transactionId,
+        chargeId: charge.id,
+        refundedAmount,
+        status: refund.status,
+        packageRolledBack: refund.rolledBack,
+      }).catch((err) => console.error('Audit log write error:', err));
+
+      await notifyRefund(db, payment, refund, refundedAmount);
+    },
+  };
+}
+
+// after commit: stop billing for a subscription whose activating payment was refunded or lost in a dispute
+async function cancelRolledBackSubscription({ cancelSubscriptionId }) {
+  if (!cancelSubscriptionId) return;
+  await stripe.subscriptions.cancel(cancelSubscriptionId)
+    .catch((err) => console.error('Cancel refunded subscription error:', err.message));
+}
+
+async function notifyRefund(db, payment, { fullyRefunded, rolledBack }, refundedAmount) {
+  await notify(db, {
+    recipientEmail: payment.hrEmail,
+    type: 'payment.refunded',
+    title: fullyRefunded ? 'Payment refunded' : 'Payment partially refunded',
+    message: `Your ${payment.packageName || 'package'} payment was ${fullyRefunded ? 'refunded' : 'partially refunded'}`
+      + (rolledBack ? '. Your company is back on its previous package.' : ''),
+    data: { paymentId: payment._id, transactionId: payment.transactionId, refundedAmount, packageRolledBack: rolledBack },
+  });
+}
+
+function disputeSummary(dispute) {
+  return {
+    id: dispute.id,
+    reason: dispute.reason || null,
+    amount: dispute.amount || null,
+    status: dispute.status || null,
+  };
+}
+
+/**
+ * charge.dispute.created: the HR's bank disputes the charge; the payment is 'disputed' until the dispute closes.
+ */
+async function handleDisputeCreated(db, dispute, session) {
+  if (!dispute.payment_intent) return { ignored: true };
+  const payment = await db.collection('payments').findOne(
+    { paymentIntentId: dispute.payment_intent, status: { $in: REFUNDABLE_STATUSES } },
+    { session }
+  );
+  if (!payment) return { ignored: true };
+
+  await db.collection('payments').updateOne(
+    { _id: payment._id },
+    {
+      $set: {
+        status: 'disputed',
+        statusBeforeDispute: payment.status,
+        dispute: { ...disputeSummary(dispute), openedAt: new Date(), closedAt: null },
+        updatedAt: new Date(),
+      },
+    },
+    { session }
+  );
+
+  return {
+    after: async () => {
+      await auditPayment(db, 'payment.disputed', payment.hrEmail, {
+        transactionId: payment.transactionId,
+        disputeId: dispute.id,
+        reason: dispute.reason || null,
+      }).catch((err) => console.error('Audit log write error:', err));
+    },
+  };
+}
+
+/**
+ * charge.dispute.updated: keep the dispute status in sync (evidence submitted, under review, ...).
+ */
+async function handleDisputeUpdated(db, dispute, session) {
+  const result = await db.collection('payments').updateOne(
+    { 'dispute.id': dispute.id, status: 'disputed' },
+    { $set: { 'dispute.status': dispute.status || null, updatedAt: new Date() } },
+    { session }
+  );
+  return result.matchedCount ? {} : { ignored: true };
+}
+
+/**
+ * charge.dispute.closed: a won dispute restores the payment; a lost one takes the money back,
+ * so it is treated like a full refund (package rolled back).
+ */
+async function handleDisputeClosed(db, dispute, session) {
+  const payment = await db.collection('payments').findOne({ 'dispute.id': dispute.id, status: 'disputed' }, { session });
+  if (!payment) return { ignored: true };
+
+  const won = dispute.status === 'won' || dispute.status === 'warning_closed';
+  await db.collection('payments').updateOne(
+    { _id: payment._id },
+    {
+      $set: {
+        status: won ? payment.statusBeforeDispute || 'completed' : 'dispute_lost',
+        'dispute.status': dispute.status || null,
+        'dispute.closedAt': new Date(),
+        updatedAt: new Date(),
+      },
+    },
+    { session }
+  );
+  const rollback = won ? { rolledBack: false } : await rollbackPackage(db, payment, session);
+
+  return {
+    after: async () => {
+      await cancelRolledBackSubscription(rollback);
+
+      await auditPayment(db, won ? 'payment.dispute_won' : 'payment.dispute_lost', payment.hrEmail, {
+        transactionId: payment.transactionId,
+        disputeId: dispute.id,
+        packageRolledBack: rollback.rolledBack,
+      }).catch((err) => console.error('Audit log write error:', err));
+
+      if (rollback.rolledBack) {
+        await notify(db, {
+          recipientEmail: payment.hrEmail,
+          type: 'payment.dispute_lost',
+          title: 'Disputed payment reversed',
+          message: `The disputed ${payment.packageName || 'package'} payment was reversed. Your company is back on its previous package.`,
+          data: { paymentId: payment._id, transactionId: payment.transactionId, disputeId: dispute.id },
+        });
+      }
+    },
+  };
+}
+
+/**
+ * payment_intent.payment_failed: record the failed attempt (metadata is copied onto the payment intent at checkout).
+ */
+async function handlePaymentFailed(db, intent, session) {
+  const { hrEmail, packageId, packageName, employeeLimit } = checkoutMetadata(intent);
+  // subscription payments carry no checkout metadata; invoice.payment_failed covers them
+  if (!hrEmail) return { ignored: true };
+  const failureMessage = (intent.last_payment_error && intent.last_payment_error.message) || null;
+  const now = new Date();
+
+  // keyed by the intent id: a failed attempt never overwrites the checkout's own payment
+  await db.collection('payments').updateOne(
+    { transactionId: intent.id },
+    {
+      $set: { status: 'failed', failureMessage, updatedAt: now },
+      $setOnInsert: {
+        hrEmail,
+        packageId: packageId && ObjectId.isValid(packageId) ? new ObjectId(packageId) : null,
+        packageName,
+        employeeLimit,
+        amount: intent.amount || null,
+        currency: intent.currency || null,
+        transactionId: intent.id,
+        paymentIntentId: intent.id,
+        paymentDate: now,
+        createdAt: now,
+      },
+    },
+    { upsert: true, session }
+  );
+
+  return {
+    after: async () => {
+      await notify(db, {
+        recipientEmail: hrEmail,
+        type: 'payment.failed',
+        title: 'Payment failed',
+        message: `Payment for ${packageName || 'your package'} failed${failureMessage ? `: ${failureMessage}` : ''}`,
+        data: { packageId, paymentIntentId: intent.id },
+      });
+    },
+  };
+}
+
+/**
+ * invoice.paid: the subscription is paid through the invoice period; renewals are recorded as payments.
+ */
+async function handleInvoicePaid(db, invoice, session) {
+  const subscriptionId = invoiceSubscriptionId(invoice);
+  const paymentIntentId = invoicePaymentIntentId(invoice);
+  // linked even when the checkout hasn't completed yet (no subscriber found below)
+  const linked = invoice.billing_reason === 'subscription_create' && subscriptionId && paymentIntentId;
+  if (linked) await linkSubscriptionIntent(db, subscriptionId, { paymentIntentId }, session);
+
+  const hrUser = await findSubscriber(db, subscriptionId, session);
+  if (!hrUser) return linked ? {} : { ignored: true };
+
+  const periodEnd = invoicePeriodEnd(invoice);
+  const wasPastDue = hrUser.subscriptionStatus === 'past_due';
+  const now = new Date();
+  await db.collection('users').updateOne(
+    { _id: hrUser._id },
+    { $set: { subscriptionStatus: 'active', subscriptionPeriodEnd: periodEnd, subscriptionGraceUntil: null } },
+    { session }
+  );
+
+  // the first invoice is already recorded by checkout.session.completed
+  const renewal = invoice.billing_reason === 'subscription_cycle';
+  let issued = null;
+  if (renewal) {
+    const payment = await db.collection('payments').findOneAndUpdate(
+      { transactionId: invoice.id },
+      {
+        $set: {
+          hrEmail: hrUser.email,
+          packageId: hrUser.subscriptionPackageId || null,
+          packageName: hrUser.subscription || null,
+          employeeLimit: Number(hrUser.packageLimit || 0),
+          amount: invoice.amount_paid || null,
+          currency: invoice.currency || null,
+          paymentIntentId,
+          subscriptionId: hrUser.stripeSubscriptionId,
+          kind: 'renewal',
+          paymentDate: now,
+          status: 'completed',
+          updatedAt: now,
+        },
+        $setOnInsert: { transactionId: invoice.id, createdAt: now },
+      },
+      { upsert: true, returnDocument: 'after', session }
+    );
+    issued = await issueInvoice(db, payment, session);
+  }
+
+  return {
+    after: async () => {
+      await attachInvoiceLogo(db, issued);
+      if (!renewal && !wasPastDue) return;
+      await notify(db, {
+        recipientEmail: hrUser.email,
+        type: 'subscription.renewed',
+        title: 'Subscription renewed',
+        message: `${hrUser.subscription || 'Your'} subscription is paid until ${periodEnd ? periodEnd.toDateString() : 'the next period'}`,
+        data: { invoiceId: invoice.id, periodEnd },
+      });
+    },
+  };
+}
+
+/**
+ * invoice.payment_failed: a renewal failed; keep the package until the grace period ends.
+ */
+async function handleInvoicePaymentFailed(db, invoice, session) {
+  const hrUser = await findSubscriber(db, invoiceSubscriptionId(invoice), session);
+  if (!hrUser) return { ignored: true };
+
+  // Stripe retries the charge; the grace period starts with the first failure and is not extended
+  const graceUntil = hrUser.subscriptionGraceUntil || graceUntilFrom(new Date());
+  await db.collection('users').updateOne(
+    { _id: hrUser._id },
+    { $set: { subscriptionStatus: 'past_due', subscriptionGraceUntil: graceUntil } },
+    { session }
+  );
+
+  return {
+    after: async () => {
+      await notify(db, {
+        recipientEmail: hrUser.email,
+        type: 'subscription.payment_failed',
+        title: 'Subscription payment failed',
+        message: `We couldn't renew your ${hrUser.subscription || 'package'} subscription. Update your payment method before ${graceUntil.toDateString()} to keep your employee limit.`,
+        data: { invoiceId: invoice.id, graceUntil },
+      });
+    },
+  };
+}
+
+// switch the HR back to the base plan and tell them (existing affiliations are kept)
+async function endSubscription(db, hrUser, session) {
+  await db.collection('users').updateOne({ _id: hrUser._id }, { $set: basePlanUpdate() }, { session });
+  return {
+    after: async () => {
+      await notify(db, {
+        recipientEmail: hrUser.email,
+        type: 'subscription.ended',
+        title: 'Subscription ended',
+        message: `Your ${hrUser.subscription || 'package'} subscription ended and your company is back on the base plan. Existing employees stay; new employees can be added while you are under the plan limit.`,
+        data: { previousPlan: hrUser.subscription || null },
+      });
+      publish('subscription.ended', {
+        hrEmail: hrUser.email,
+        recipients: [hrUser.email],
+        data: { previousPlan: hrUser.subscription || null },
+      });
+    },
+  };
+}
+
+/**
+ * customer.subscription.updated: sync status, period end and cancel-at-period-end.
+ */
+async function handleSubscriptionUpdated(db, subscription, session) {
+  const hrUser = await findSubscriber(db, subscription.id, session);
+  if (!hrUser) return { ignored: true };
+
+  const status = STRIPE_STATUS_MAP[subscription.status] || 'past_due';
+  if (status === 'canceled') return endSubscription(db, hrUser, session);
+
+  const update = {
+    subscriptionStatus: status,
+    subscriptionCancelAtPeriodEnd: !!subscription.cancel_at_period_end,
+  };
+  const periodEnd = subscriptionPeriodEnd(subscription);
+  if (periodEnd) update.subscriptionPeriodEnd = periodEnd;
+  if (status === 'active') update.subscriptionGraceUntil = null;
+  else if (!hrUser.subscriptionGraceUntil) update.subscriptionGraceUntil = graceUntilFrom(new Date());
+
+  await db.collection('users').updateOne({ _id: hrUser._id }, { $set: update }, { session });
+  return {};
+}
+
+/**
+ * customer.subscription.deleted: cancelled at period end, or unpaid after Stripe's retries.
+ */
+async function handleSubscriptionDeleted(db, subscription, session) {
+  const hrUser = await findSubscriber(db, subscription.id, session);
+  if (!hrUser) return { ignored: true };
+  return endSubscription(db, hrUser, session);
+}
+
+const EVENT_HANDLERS = {
+  'checkout.session.completed': handleCheckoutCompleted,
+  'checkout.session.expired': handleCheckoutExpired,
+  'charge.refunded': handleChargeRefunded,
+  'charge.dispute.created': handleDisputeCreated,
+  'charge.dispute.updated': handleDisputeUpdated,
+  'charge.dispute.closed': handleDisputeClosed,
+  'payment_intent.payment_failed': handlePaymentFailed,
+  'invoice.paid': handleInvoicePaid,
+  'invoice.payment_failed': handleInvoicePaymentFailed,
+  'customer.subscription.updated': handleSubscriptionUpdated,
+  'customer.subscription.deleted': handleSubscriptionDeleted,
+};
+
+/**
+ * Process one Stripe event exactly once.
+ * Returns { duplicate: true } when the event id was already processed, else { outcome: 'processed' | 'ignored' }.
+ */
+async function processStripeEvent(db, event, { simulated = false } = {}) {
+  if (!event || !event.id || !event.type || !event.data || !event.data.object) {
+    throw new Error('Malformed Stripe event');
+  }
+
+  const seen = await db.collection('stripeEvents').findOne({ _id: event.id });
+  if (seen) return { duplicate: true };
+
+  const handler = EVENT_HANDLERS[event.type];
+  let result = {};
+  const session = getClient().startSession();
+  try {
+    await session.withTransaction(async () => {
+      result = handler ? await handler(db, event.data.object, session, { simulated }) : { ignored: true };
+      await db.collection('stripeEvents').insertOne(
+        {
+          _id: event.id,
+          type: event.type,
+          outcome: result.ignored ? 'ignored' : 'processed',
+          simulated,
+          livemode: !!event.livemode,
+          stripeCreatedAt: event.created ? new Date(event.created * 1000) : null,
+          processedAt: new Date(),
+        },
+        { session }
+      );
+    }, TRANSACTION_OPTIONS);
+  } catch (err) {
+    // lost the race against a concurrent delivery of the same event
+    if (err.code === 11000 && /stripeEvents/.test(err.message)) return { duplicate: true };
+    throw err;
+  } finally {
+    await session.endSession();
+  }
+
+  if (result.after) await result.after();
+  return { outcome: result.ignored ? 'ignored' : 'processed' };
+}
+
+module.exports = {
+  STRIPE_EVENT_TYPES: Object.keys(EVENT_HANDLERS),
+  processStripeEvent,
+  cancelRolledBackSubscription,
+  notifyRefund,
+};
@@ -0,0 +1,93 @@
+// src/utils/subscriptions.js
+
+/**
+ * Monthly package subscriptions (Stripe mode: 'subscription'), stored on the HR user:
+ *   subscription                   package name ('basic' when on the free plan)
+ *   packageLimit                   employee limit of that package
+ *   subscriptionStatus             active | past_due | canceled
+ *   subscriptionPackageId, stripeCustomerId, stripeSubscriptionId
+ *   subscriptionPeriodEnd          end of the paid period
+ *   subscriptionGraceUntil         set when a renewal fails; the package stays usable until then
+ *   subscriptionCancelAtPeriodEnd  HR cancelled; Stripe ends the subscription at period end
+ *
+ * A downgrade never removes affiliations: when currentEmployees is above the new limit the
+ * existing employees stay, and new affiliations are refused until the count is under the limit.
+ */
+
+const BASE_PLAN = { name: 'basic', employeeLimit: 5 };
+const GRACE_PERIOD_DAYS = Number(process.env.SUBSCRIPTION_GRACE_DAYS || 7);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stripe subscription.status -> subscriptionStatus
+const STRIPE_STATUS_MAP = {
+  trialing: 'active',
+  active: 'active',
+  past_due: 'past_due',
+  unpaid: 'past_due',
+  incomplete: 'past_due',
+  canceled: 'canceled',
+  incomplete_expired: 'canceled',
+};
+
+function graceUntilFrom(date = new Date()) {
+  return new Date(date.getTime() + GRACE_PERIOD_DAYS * DAY_MS);
+}
+
+/**
+ * Employee limit that applies right now. Covers missed webhooks: a subscription whose paid period
+ * (plus grace) is over falls back to the base plan even if no cancellation event arrived.
+ * Accounts without a Stripe subscription (base plan, one-off purchases before subscriptions) keep packageLimit.
+ */
+function effectiveEmployeeLimit(hrUser, now = new Date()) {
+  const limit = Number(hrUser.packageLimit || 0);
+  if (!hrUser.stripeSubscriptionId) return limit;
+  if (hrUser.subscriptionStatus === 'canceled') return BASE_PLAN.employeeLimit;
+
+  const paidUntil = hrUser.subscriptionGraceUntil
+    || (hrUser.subscriptionPeriodEnd ? graceUntilFrom(hrUser.subscriptionPeriodEnd) : null);
+  return !paidUntil || now <= paidUntil ? limit : BASE_PLAN.employeeLimit;
+}
+
+/**
+ * Summary returned by GET /payments/subscription.
+ */
+function subscriptionSummary(hrUser, now = new Date()) {
+  const employeeLimit = effectiveEmployeeLimit(hrUser, now);
+  const currentEmployees = Number(hrUser.currentEmployees || 0);
+  return {
+    plan: hrUser.subscription || BASE_PLAN.name,
+    status: hrUser.subscriptionStatus || (hrUser.stripeSubscriptionId ? 'active' : 'none'),
+    packageId: hrUser.subscriptionPackageId || null,
+    currentPeriodEnd: hrUser.subscriptionPeriodEnd || null,
+    graceUntil: hrUser.subscriptionGraceUntil || null,
+    cancelAtPeriodEnd: !!hrUser.subscriptionCancelAtPeriodEnd,
+    employeeLimit,
+    currentEmployees,
+    // over the limit after a downgrade: existing employees stay, new affiliations are blocked
+    overLimit: currentEmployees > employeeLimit,
+  };
+}
+
+/**
+ * Fields that put the HR back on the base plan (subscription ended).
+ */
+function basePlanUpdate() {
+  return {
+    subscription: BASE_PLAN.name,
+    packageLimit: BASE_PLAN.employeeLimit,
+    subscriptionStatus: 'canceled',
+    subscriptionPackageId: null,
+    subscriptionGraceUntil: null,
+    subscriptionCancelAtPeriodEnd: false,
+  };
+}
+
+module.exports = {
+  BASE_PLAN,
+  GRACE_PERIOD_DAYS,
+  STRIPE_STATUS_MAP,
+  graceUntilFrom,
+  effectiveEmployeeLimit,
+  subscriptionSummary,
+  basePlanUpdate,
+};
@@ -0,0 +1,252 @@
+// src/utils/webhooks.js
+const crypto = require('crypto');
+const { ObjectId } = require('mongodb');
+const { getDB } = require('../config/db');
+const { subscribe } = require('./eventBus');
+const { checkPublicUrl, publicRequest } = require('./publicHttp');
+
+/**
+ * Outbound webhooks (the counterpart of the inbound Stripe handler in payments.route.js).
+ * HR registers endpoints in `webhooks`; every matching bus event becomes a `webhookDeliveries`
+ * document that is POSTed, signed, and retried with exponential backoff until it succeeds or
+ * runs out of attempts.
+ *
+ * Endpoints must be public hosts (utils/publicHttp), checked when registered and again on every attempt;
+ * redirects are not followed and only the status code and timing of a response are kept.
+ *
+ * Signature header (same scheme as Stripe-Signature):
+ *   X-AssetVerse-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256(secret, `${t}.${rawBody}`)>
+ */
+
+const WEBHOOK_EVENTS = [
+  'request.created',
+  'request.approved',
+  'request.rejected',
+  'request.cancelled',
+  'asset.assigned',
+  'asset.return_requested',
+  'asset.returned',
+  'employee.removed',
+  'payment.completed',
+];
+
+const MAX_ATTEMPTS = 6;
+const BASE_BACKOFF_MS = 30 * 1000; // 30s, 2m, 8m, 32m, ~2h
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const CLAIM_LEASE_MS = 60 * 1000; // a crashed worker's claim expires and the delivery is picked up again
+const WORKER_INTERVAL_MS = 30 * 1000;
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function signPayload(secret, timestamp, rawBody) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+function backoffFor(attempts) {
+  return Math.min(BASE_BACKOFF_MS * 4 ** (attempts - 1), MAX_BACKOFF_MS);
+}
+
+// request.status_changed is delivered as request.<status> (request.approved, ...)
+function webhookTypeFor(event) {
+  if (event.type === 'request.status_changed') return `request.${event.data.requestStatus}`;
+  return event.type;
+}
+
+/**
+ * Validate a webhook endpoint URL (http/https, public host only). Resolves to an error message or null.
+ */
+async function validateWebhookUrl(url) {
+  if (typeof url !== 'string' || !url.trim()) return 'url is required';
+  return checkPublicUrl(url.trim());
+}
+
+/**
+ * Validate a list of subscribed event types. Returns an error message or null.
+ */
+function validateWebhookEvents(events) {
+  if (!Array.isArray(events) || events.length === 0) return 'events must be a non-empty array';
+  const unknown = events.filter((type) => !WEBHOOK_EVENTS.includes(type));
+  if (unknown.length) return `Unknown event types: ${unknown.join(', ')}`;
+  return null;
+}
+
+/**
+ * Queue one delivery of `type` to `webhook`. `eventId` is kept across redeliveries so receivers can dedupe.
+ */
+async function createDelivery(db, webhook, { type, eventId = crypto.randomUUID(), data, occurredAt = new Date(), redeliveryOf = null }) {
+  const now = new Date();
+  const delivery = {
+    webhookId: webhook._id,
+    hrEmail: webhook.hrEmail,
+    companyName: webhook.companyName || null,
+    eventId,
+    eventType: type,
+    payload: { id: eventId, type, createdAt: occurredAt, data },
+    status: 'pending',
+    attempts: 0,
+    attemptLog: [],
+    nextAttemptAt: now,
+    redeliveryOf,
+    createdAt: now,
+    updatedAt: now,
+    completedAt: null,
+  };
+  const result = await db.collection('webhookDeliveries').insertOne(delivery);
+  return { ...delivery, _id: result.insertedId };
+}
+
+// fan a bus event out to every active webhook of that company subscribed to it
+async function enqueueEvent(db, event) {
+  const type = webhookTypeFor(event);
+  if (!event.hrEmail || !WEBHOOK_EVENTS.includes(type)) return 0;
+
+  const webhooks = await db.collection('webhooks')
+    .find({ hrEmail: event.hrEmail, active: true, events: type })
+    .toArray();
+
+  const eventId = crypto.randomUUID();
+  for (const webhook of webhooks) {
+    await createDelivery(db, webhook, { type, eventId, data: event.data, occurredAt: event.at });
+  }
+  return webhooks.length;
+}
+
+// POST the payload once and record the attempt on the delivery
+async function attemptDelivery(db, delivery) {
+  const webhook = await db.collection('webhooks').findOne({ _id: delivery.webhookId });
+  const now = new Date();
+
+  if (!webhook) {
+    await db.collection('webhookDeliveries').updateOne(
+      { _id: delivery._id },
+      { $set: { status: 'failed', lastError: 'Webhook no longer exists', updatedAt: now, completedAt: now } }
+    );
+    return;
+  }
+
+  const rawBody = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(now.getTime() / 1000);
+  const attempt = { at: now, statusCode: null, error: null, durationMs: null };
+
+  const started = Date.now();
+  try {
+    const response = await publicRequest(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'AssetVerse-Webhooks/1.0',
+        'X-AssetVerse-Event': delivery.eventType,
+        'X-AssetVerse-Delivery': String(delivery._id),
+        'X-AssetVerse-Signature': signPayload(webhook.secret, timestamp, rawBody),
+      },
+      body: rawBody,
+      timeoutMs: REQUEST_TIMEOUT_MS,
+    });
+    attempt.statusCode = response.statusCode;
+    // 3xx counts as a failure: redirects are not followed
+    if (response.statusCode < 200 || response.statusCode >= 300) attempt.error = `HTTP ${response.statusCode}`;
+  } catch (err) {
+    if (err.name === 'TimeoutError') attempt.error = 'Request timed out';
+    else if (err.code === 'ENONPUBLIC') attempt.error = 'Endpoint does not resolve to a public address';
+    else attempt.error = err.code || 'Request failed';
+  }
+  attempt.durationMs = Date.now() - started;
+
+  const attempts = delivery.attempts + 1;
+  const update = { attempts, lastStatusCode: attempt.statusCode, lastError: attempt.error, updatedAt: new Date() };
+  if (!attempt.error) {
+    Object.assign(update, { status: 'succeeded', nextAttemptAt: null, completedAt: new Date() });
+  } else if (attempts >= MAX_ATTEMPTS) {
+    Object.assign(update, { status: 'failed', nextAttemptAt: null, completedAt: new Date() });
+  } else {
+    update.nextAttemptAt = new Date(Date.now() + backoffFor(attempts));
+  }
+
+  await db.collection('webhookDeliveries').updateOne(
+    { _id: delivery._id },
+    { $set: update, $push: { attemptLog: attempt } }
+  );
+}
+
+let running = false;
+let rerun = false;
+
+/**
+ * Deliver everything that is due. Each delivery is claimed by pushing nextAttemptAt forward by a lease,
+ * so concurrent runs (or several app instances) never send the same attempt twice.
+ */
+async function runDueDeliveries(db = getDB()) {
+  if (running) {
+    rerun = true;
+    return;
+  }
+  running = true;
+  try {
+    do {
+      rerun = false;
+      for (;;) {
+        const now = new Date();
+        const delivery = await db.collection('webhookDeliveries').findOneAndUpdate(
+          { status: 'pending', nextAttemptAt: { $lte: now } },
+          { $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_LEASE_MS) } },
+          { sort: { nextAttemptAt: 1 }, returnDocument: 'after' }
+        );
+        if (!delivery) break;
+        await attemptDelivery(db, delivery);
+      }
+    } while (rerun);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Subscribe to the event bus and start the retry worker (call once, after connectDB).
+ */
+function startWebhookDispatcher() {
+  subscribe((event) => {
+    const db = getDB();
+    enqueueEvent(db, event)
+      .then((queued) => (queued ? runDueDeliveries(db) : null))
+      .catch((err) => console.error('Webhook enqueue error:', err));
+  });
+
+  const timer = setInterval(() => {
+    runDueDeliveries().catch((err) => console.error('Webhook worker error:', err));
+  }, WORKER_INTERVAL_MS);
+  timer.unref();
+}
+
+/**
+ * Queue a fresh copy of an existing delivery (same event id and payload, attempts start over).
+ */
+async function redeliver(db, delivery) {
+  const webhook = await db.collection('webhooks').findOne({ _id: new ObjectId(delivery.webhookId) });
+  if (!webhook) return null;
+  const copy = await createDelivery(db, webhook, {
+    type: delivery.eventType,
+    eventId: delivery.eventId,
+    data: delivery.payload.data,
+    occurredAt: delivery.payload.createdAt,
+    redeliveryOf: delivery._id,
+  });
+  runDueDeliveries(db).catch((err) => console.error('Webhook worker error:', err));
+  return copy;
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  MAX_ATTEMPTS,
+  generateSecret,
+  signPayload,
+  validateWebhookUrl,
+  validateWebhookEvents,
+  createDelivery,
+  runDueDeliveries,
+  startWebhookDispatcher,
+  redeliver,
+};